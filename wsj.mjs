@@ -1,38 +1,83 @@
 #!/usr/bin/env node
 import { chromium } from 'playwright';
 import { spawn } from 'child_process';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { createHash } from 'crypto';
+import { deflateRawSync } from 'zlib';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, statSync, readdirSync, rmSync, realpathSync } from 'fs';
+import { fileURLToPath } from 'url';
 import { homedir, platform } from 'os';
-import { join } from 'path';
+import { join, resolve } from 'path';
 import { createInterface } from 'node:readline/promises';
 
-const CDP_PORT = 9222;
+const DEFAULT_CDP_PORT = 9222;
 const IS_MACOS = platform() === 'darwin';
-const CDP_URL = `http://127.0.0.1:${CDP_PORT}`;
+
+// Base URL of the WSJ feeds. $WSJ_FEED_BASE_URL points the built-in feeds at
+// a local stand-in; $WSJ_FIXTURES_DIR replays recorded <section>.xml files.
+const FEED_BASE_URL = (process.env.WSJ_FEED_BASE_URL || 'https://feeds.content.dowjones.io/public/rss').replace(/\/+$/, '');
+const FIXTURES_DIR = process.env.WSJ_FIXTURES_DIR || null;
 
 // WSJ RSS feeds (no auth needed)
-const RSS_FEEDS = {
-  world: 'https://feeds.content.dowjones.io/public/rss/RSSWorldNews',
-  us: 'https://feeds.content.dowjones.io/public/rss/WSJcomUSBusiness',
-  markets: 'https://feeds.content.dowjones.io/public/rss/RSSMarketsMain',
-  opinion: 'https://feeds.content.dowjones.io/public/rss/RSSOpinion',
-  tech: 'https://feeds.content.dowjones.io/public/rss/RSSWSJD',
-  lifestyle: 'https://feeds.content.dowjones.io/public/rss/RSSLifestyle',
+const BUILTIN_FEEDS = {
+  world: `${FEED_BASE_URL}/RSSWorldNews`,
+  us: `${FEED_BASE_URL}/WSJcomUSBusiness`,
+  markets: `${FEED_BASE_URL}/RSSMarketsMain`,
+  opinion: `${FEED_BASE_URL}/RSSOpinion`,
+  tech: `${FEED_BASE_URL}/RSSWSJD`,
+  lifestyle: `${FEED_BASE_URL}/RSSLifestyle`,
 };
 
 // XDG-compliant config directory
 const CONFIG_DIR = join(homedir(), '.config/wsj');
 const CREDENTIALS_FILE = join(CONFIG_DIR, 'credentials.json');
-const CHROME_DIR = join(CONFIG_DIR, 'chrome');
+const DEFAULT_CHROME_DIR = join(CONFIG_DIR, 'chrome');
+const CONFIG_FILE = join(CONFIG_DIR, 'config.json');
+const CACHE_DIR = join(CONFIG_DIR, 'cache');
+const FEEDS_FILE = join(CONFIG_DIR, 'feeds.json');
+const ARCHIVE_DIR = join(CONFIG_DIR, 'archive');
+
+// Built-in feeds plus user-defined feeds from feeds.json. A custom feed with a
+// built-in name overrides its URL, so feed migrations don't need a release.
+const RSS_FEEDS = { ...BUILTIN_FEEDS, ...loadCustomFeeds() };
 const VALID_SECTIONS = Object.keys(RSS_FEEDS);
 
+// Seconds a cached feed is served without revalidating (override with $WSJ_CACHE_TTL)
+const DEFAULT_CACHE_TTL = 300;
+
 // Helper to parse --json flag from args
 function hasJsonFlag(args) {
   return args.includes('--json');
 }
 
-function removeFlags(args) {
-  return args.filter(a => !a.startsWith('--'));
+// Value following a flag that takes an argument (e.g. --max-age 60), or null
+function getFlagValue(args, flag) {
+  const i = args.indexOf(flag);
+  return i !== -1 && i + 1 < args.length ? args[i + 1] : null;
+}
+
+// Strip flags, plus the values of flags listed in valueFlags
+function removeFlags(args, valueFlags = []) {
+  return args.filter((a, i) => !a.startsWith('--') && !valueFlags.includes(args[i - 1]));
+}
+
+// ============================================
+// Custom Feeds (feeds.json)
+// ============================================
+
+function loadCustomFeeds() {
+  if (!existsSync(FEEDS_FILE)) {
+    return {};
+  }
+  try {
+    return JSON.parse(readFileSync(FEEDS_FILE, 'utf-8')).feeds || {};
+  } catch {
+    return {};
+  }
+}
+
+function saveCustomFeeds(feeds) {
+  mkdirSync(CONFIG_DIR, { recursive: true });
+  writeFileSync(FEEDS_FILE, JSON.stringify({ feeds }, null, 2) + '\n');
 }
 
 // ============================================
@@ -111,6 +156,148 @@ function resetUserContext(username) {
   return false;
 }
 
+// Articles already returned to a user, keyed by guid/URL with first-seen time.
+// Stored in the user's context, so `wsj user reset` clears it.
+const SEEN_RETENTION_DAYS = 30;
+
+function getSeenArticles(username) {
+  return getUser(username)?.context?.seen_articles || {};
+}
+
+function markArticlesSeen(username, keys) {
+  const creds = loadCredentials();
+  const user = creds.users[username];
+  if (!user) {
+    return false;
+  }
+  const cutoff = Date.now() - SEEN_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const seen = {};
+  for (const [key, at] of Object.entries(user.context?.seen_articles || {})) {
+    if (new Date(at).getTime() >= cutoff) seen[key] = at;
+  }
+  const now = new Date().toISOString();
+  for (const key of keys) {
+    if (!seen[key]) seen[key] = now;
+  }
+  user.context = { ...user.context, seen_articles: seen };
+  saveCredentials(creds);
+  return true;
+}
+
+function resetSeenArticles(username) {
+  const creds = loadCredentials();
+  const user = creds.users[username];
+  if (!user) {
+    return false;
+  }
+  if (user.context) delete user.context.seen_articles;
+  saveCredentials(creds);
+  return true;
+}
+
+// Alerts already fired for a user: topic key -> { article key -> fired time }.
+// Pruned on the same schedule as seen articles.
+function getFiredAlerts(username) {
+  return getUser(username)?.context?.fired_alerts || {};
+}
+
+function recordFiredAlerts(username, fired) {
+  const creds = loadCredentials();
+  const user = creds.users[username];
+  if (!user) {
+    return false;
+  }
+  const cutoff = Date.now() - SEEN_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const now = new Date().toISOString();
+  const alerts = {};
+  for (const [topic, keys] of Object.entries(user.context?.fired_alerts || {})) {
+    const kept = Object.entries(keys).filter(([, at]) => new Date(at).getTime() >= cutoff);
+    if (kept.length > 0) alerts[topic] = Object.fromEntries(kept);
+  }
+  for (const [topic, keys] of Object.entries(fired)) {
+    alerts[topic] = alerts[topic] || {};
+    for (const key of keys) {
+      if (!alerts[topic][key]) alerts[topic][key] = now;
+    }
+  }
+  user.context = { ...user.context, fired_alerts: alerts };
+  saveCredentials(creds);
+  return true;
+}
+
+function resetFiredAlerts(username) {
+  const creds = loadCredentials();
+  const user = creds.users[username];
+  if (!user) {
+    return false;
+  }
+  if (user.context) delete user.context.fired_alerts;
+  saveCredentials(creds);
+  return true;
+}
+
+// Saved searches: definitions live in user.saved_searches ({ query, filters,
+// created_at }); what each one has returned and its run history live in the
+// context, so `wsj user reset` forgets the history but keeps the searches.
+const SEARCH_HISTORY_LIMIT = 50;
+
+function getSavedSearches(username) {
+  return getUser(username)?.saved_searches || {};
+}
+
+function saveSearch(username, name, search) {
+  const creds = loadCredentials();
+  const user = creds.users[username];
+  if (!user) {
+    return false;
+  }
+  // Re-saving the same query and filters keeps the search as it was, with its
+  // history and new-result baseline; a changed search starts from scratch
+  const previous = user.saved_searches?.[name];
+  if (previous && previous.query === search.query && JSON.stringify(previous.filters) === JSON.stringify(search.filters)) {
+    return true;
+  }
+  user.saved_searches = { ...user.saved_searches, [name]: search };
+  if (user.context?.saved_search_runs) delete user.context.saved_search_runs[name];
+  saveCredentials(creds);
+  return true;
+}
+
+function removeSavedSearch(username, name) {
+  const creds = loadCredentials();
+  const user = creds.users[username];
+  if (!user?.saved_searches?.[name]) {
+    return false;
+  }
+  delete user.saved_searches[name];
+  if (user.context?.saved_search_runs) delete user.context.saved_search_runs[name];
+  saveCredentials(creds);
+  return true;
+}
+
+// { seen: { url -> first-seen time }, history: [run, ...] } for one saved search
+function getSearchRuns(username, name) {
+  const runs = getUser(username)?.context?.saved_search_runs?.[name];
+  return { seen: runs?.seen || {}, history: runs?.history || [] };
+}
+
+function recordSearchRun(username, name, keys, run) {
+  const creds = loadCredentials();
+  const user = creds.users[username];
+  if (!user) {
+    return false;
+  }
+  const all = user.context?.saved_search_runs || {};
+  const seen = { ...all[name]?.seen };
+  for (const key of keys) {
+    if (!seen[key]) seen[key] = run.ran_at;
+  }
+  const history = [...(all[name]?.history || []), run].slice(-SEARCH_HISTORY_LIMIT);
+  user.context = { ...user.context, saved_search_runs: { ...all, [name]: { seen, history } } };
+  saveCredentials(creds);
+  return true;
+}
+
 function deleteUser(username) {
   const creds = loadCredentials();
   if (creds.users[username]) {
@@ -175,21 +362,262 @@ function validatePreferences(data) {
   return errors;
 }
 
-// Simple XML parser for RSS
-function parseRSS(xml) {
+// ============================================
+// Feed Parser (RSS 2.0 / RSS 1.0 / Atom)
+// ============================================
+
+const XML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+  ndash: '\u2013', mdash: '\u2014', lsquo: '\u2018', rsquo: '\u2019',
+  ldquo: '\u201c', rdquo: '\u201d', hellip: '\u2026', bull: '\u2022',
+  middot: '\u00b7', copy: '\u00a9', reg: '\u00ae', trade: '\u2122',
+  euro: '\u20ac', pound: '\u00a3', yen: '\u00a5', cent: '\u00a2', deg: '\u00b0'
+};
+
+// Root element -> feed format
+const FEED_ROOTS = { rss: 'rss', 'rdf:rdf': 'rdf', feed: 'atom' };
+
+// Plain-text fields. Publishers often entity-escape these inside CDATA too,
+// so CDATA content is decoded for them (but not for HTML descriptions).
+const PLAIN_TEXT_FIELDS = new Set(['title', 'dc:creator', 'author', 'name']);
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1].toLowerCase() === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[ref] ?? match;
+  });
+}
+
+function stripTags(html) {
+  return html.replace(/<[^>]*>/g, '');
+}
+
+// Streaming XML tokenizer. Yields open/close/text events as it scans, so the
+// feed is never materialized as a DOM. CDATA is passed through verbatim,
+// everything else is entity-decoded. Element names are lowercased.
+function* tokenizeXML(xml) {
+  let pos = 0;
+  while (pos < xml.length) {
+    const lt = xml.indexOf('<', pos);
+    if (lt === -1) {
+      yield { type: 'text', value: decodeEntities(xml.slice(pos)) };
+      return;
+    }
+    if (lt > pos) yield { type: 'text', value: decodeEntities(xml.slice(pos, lt)) };
+
+    if (xml.startsWith('<![CDATA[', lt)) {
+      const end = xml.indexOf(']]>', lt + 9);
+      if (end === -1) {
+        yield { type: 'error', message: 'Unterminated CDATA section' };
+        return;
+      }
+      yield { type: 'text', value: xml.slice(lt + 9, end), cdata: true };
+      pos = end + 3;
+      continue;
+    }
+
+    // Comments, processing instructions and DOCTYPE carry no feed data
+    if (xml[lt + 1] === '!' || xml[lt + 1] === '?') {
+      let end;
+      if (xml.startsWith('<!--', lt)) {
+        end = xml.indexOf('-->', lt + 4) + 3;
+      } else if (xml[lt + 1] === '?') {
+        end = xml.indexOf('?>', lt + 2) + 2;
+      } else {
+        // <!DOCTYPE ...> may contain an internal subset: <!DOCTYPE x [ ... ]>
+        const bracket = xml.indexOf('[', lt);
+        const close = xml.indexOf('>', lt);
+        end = bracket !== -1 && bracket < close ? xml.indexOf(']>', bracket) + 2 : close + 1;
+      }
+      if (end <= lt) {
+        yield { type: 'error', message: 'Unterminated markup declaration' };
+        return;
+      }
+      pos = end;
+      continue;
+    }
+
+    // Regular tag: scan to the closing '>' while respecting quoted attributes
+    let i = lt + 1;
+    let quote = null;
+    for (; i < xml.length; i++) {
+      const c = xml[i];
+      if (quote) {
+        if (c === quote) quote = null;
+      } else if (c === '"' || c === "'") {
+        quote = c;
+      } else if (c === '>') {
+        break;
+      }
+    }
+    if (i >= xml.length) {
+      yield { type: 'error', message: 'Unterminated tag' };
+      return;
+    }
+    const raw = xml.slice(lt + 1, i);
+    pos = i + 1;
+
+    if (raw[0] === '/') {
+      yield { type: 'close', name: raw.slice(1).trim().toLowerCase() };
+      continue;
+    }
+
+    const selfClosing = raw.endsWith('/');
+    const body = selfClosing ? raw.slice(0, -1) : raw;
+    const name = body.match(/^[^\s/>]+/)?.[0]?.toLowerCase();
+    if (!name) {
+      yield { type: 'error', message: `Malformed tag at offset ${lt}` };
+      continue;
+    }
+    const attrs = {};
+    for (const m of body.slice(name.length).matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+      attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3]);
+    }
+    yield { type: 'open', name, attrs };
+    if (selfClosing) yield { type: 'close', name };
+  }
+}
+
+// Apply a closed element to the item being built. depth is 1 for direct
+// children of <item>/<entry>.
+function applyItemField(item, el, parent, depth) {
+  const text = el.text.trim();
+
+  if (el.name.startsWith('wsj:')) {
+    if (text) item.wsj[el.name.slice(4)] = text;
+    return;
+  }
+
+  switch (el.name) {
+    case 'title':
+      if (depth === 1) item.title = el.attrs.type === 'html' ? decodeEntities(stripTags(text)) : text;
+      break;
+    case 'link':
+      if (depth !== 1) break;
+      if (el.attrs.href) {
+        // Atom: <link rel="alternate" href="..."/>
+        const rel = el.attrs.rel || 'alternate';
+        if (rel === 'alternate' && !item.link) item.link = el.attrs.href;
+        if (rel === 'enclosure' && el.attrs.type?.startsWith('image/') && !item.image) item.image = el.attrs.href;
+      } else if (text) {
+        item.link = text;
+      }
+      break;
+    case 'description':
+    case 'summary':
+      if (depth === 1 && text) item.description = text;
+      break;
+    case 'content':
+      if (depth === 1 && text && !item.description) item.description = text;
+      break;
+    case 'pubdate':
+    case 'published':
+    case 'dc:date':
+      if (text) item.pubDate = text;
+      break;
+    case 'updated':
+      if (text && !item.pubDate) item.pubDate = text;
+      break;
+    case 'guid':
+    case 'id':
+      if (depth === 1 && text) item.guid = text;
+      break;
+    case 'dc:creator':
+      if (text) item.author = item.author ? `${item.author}, ${text}` : text;
+      break;
+    case 'author':
+      // RSS <author> holds text; Atom <author> wraps <name>, handled below
+      if (text && !item.author) item.author = text;
+      break;
+    case 'name':
+      if (parent?.name === 'author' && text) item.author = item.author ? `${item.author}, ${text}` : text;
+      break;
+    case 'category': {
+      const term = text || el.attrs.term;
+      if (term) item.categories.push(term);
+      break;
+    }
+    case 'media:content':
+    case 'media:thumbnail':
+      if (!el.attrs.url || item.image) break;
+      if (el.name === 'media:thumbnail' || el.attrs.medium === 'image' || !el.attrs.type || el.attrs.type.startsWith('image/')) {
+        item.image = el.attrs.url;
+      }
+      break;
+    case 'enclosure':
+      if (el.attrs.url && el.attrs.type?.startsWith('image/') && !item.image) item.image = el.attrs.url;
+      break;
+  }
+}
+
+// Parse an RSS 2.0, RSS 1.0 (RDF) or Atom document.
+// Returns { format, title, items, warnings }; format is null when the
+// document has no recognizable feed root element.
+function parseFeed(xml) {
   const items = [];
-  const itemMatches = xml.matchAll(/<item>([\s\S]*?)<\/item>/g);
-  for (const match of itemMatches) {
-    const itemXml = match[1];
-    const title = itemXml.match(/<title>([^<]*)<\/title>/)?.[1] || '';
-    const link = itemXml.match(/<link>([^<]*)<\/link>/)?.[1] || '';
-    const desc = itemXml.match(/<description><!\[CDATA\[([\s\S]*?)\]\]><\/description>/)?.[1]
-              || itemXml.match(/<description>([^<]*)<\/description>/)?.[1] || '';
-    const category = itemXml.match(/<wsj:articletype>([^<]*)<\/wsj:articletype>/)?.[1] || '';
-    const pubDate = itemXml.match(/<pubDate>([^<]*)<\/pubDate>/)?.[1] || '';
-    if (title && link) items.push({ title, link, description: desc, category, pubDate });
+  const warnings = [];
+  const stack = [];
+  let format = null;
+  let title = '';
+  let item = null;
+  let itemDepth = -1;
+
+  for (const token of tokenizeXML(xml)) {
+    if (token.type === 'error') {
+      warnings.push(token.message);
+      continue;
+    }
+
+    if (token.type === 'text') {
+      const el = stack[stack.length - 1];
+      // Atom type="html" text is decoded once, as HTML, in applyItemField
+      if (el) el.text += token.cdata && PLAIN_TEXT_FIELDS.has(el.name) && el.attrs.type !== 'html' ? decodeEntities(token.value) : token.value;
+      continue;
+    }
+
+    if (token.type === 'open') {
+      if (stack.length === 0 && format === null) format = FEED_ROOTS[token.name] || null;
+      if (!item && (token.name === 'item' || token.name === 'entry')) {
+        item = { title: '', link: '', description: '', pubDate: '', guid: '', author: '', image: '', categories: [], wsj: {} };
+        itemDepth = stack.length;
+      }
+      stack.push({ name: token.name, attrs: token.attrs, text: '' });
+      continue;
+    }
+
+    // Closing tag: pop back to the matching element, tolerating unclosed children
+    let idx = stack.length - 1;
+    while (idx >= 0 && stack[idx].name !== token.name) idx--;
+    if (idx === -1) {
+      warnings.push(`Unexpected closing tag </${token.name}>`);
+      continue;
+    }
+    if (idx !== stack.length - 1) {
+      warnings.push(`Unclosed <${stack[stack.length - 1].name}> before </${token.name}>`);
+    }
+    while (stack.length > idx) {
+      const el = stack.pop();
+      const parent = stack[stack.length - 1];
+      if (item && stack.length === itemDepth) {
+        if (item.title && item.link) {
+          items.push({ ...item, category: item.wsj.articletype || item.categories[0] || '' });
+        } else {
+          warnings.push(`Skipped <${el.name}> without title or link`);
+        }
+        item = null;
+      } else if (item) {
+        applyItemField(item, el, parent, stack.length - itemDepth);
+      } else if (!title && el.name === 'title' && (parent?.name === 'channel' || parent?.name === 'feed')) {
+        title = el.text.trim();
+      }
+    }
   }
-  return items;
+
+  if (stack.length > 0) warnings.push(`Unclosed <${stack[stack.length - 1].name}> at end of document`);
+  return { format, title, items, warnings };
 }
 
 // Format pubDate into compact relative/absolute string
@@ -208,113 +636,981 @@ function formatAge(pubDate) {
   return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
 }
 
+// Settings from config.json ({ cdp_url, cdp_port, profile_dir }); {} if missing
+function loadConfig() {
+  if (!existsSync(CONFIG_FILE)) {
+    return {};
+  }
+  try {
+    return JSON.parse(readFileSync(CONFIG_FILE, 'utf-8'));
+  } catch {
+    console.error(`Warning: ignoring ${CONFIG_FILE}: not valid JSON`);
+    return {};
+  }
+}
+
+// Resolved once per run by getCDPSettings()
+let cdpSettings = null;
+
+// Where Chrome's DevTools endpoint is and which profile `wsj setup` uses.
+// The endpoint comes from $WSJ_CDP_URL, $WSJ_CDP_PORT, then cdp_url/cdp_port
+// in config.json; the profile from --profile-dir, then profile_dir. Returns
+// { url, httpBase, ws, port, local, profileDir, pidFile }.
+function getCDPSettings() {
+  if (cdpSettings) return cdpSettings;
+  const config = loadConfig();
+  const fail = (message) => {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+  };
+  const portEndpoint = (value, where) => {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      fail(`${where} must be a port number (1-65535), got "${value}"`);
+    }
+    return new URL(`http://127.0.0.1:${port}`);
+  };
+  const urlEndpoint = (value, where) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      fail(`${where} is not a valid URL: "${value}"`);
+    }
+    if (!['http:', 'https:', 'ws:', 'wss:'].includes(url.protocol)) {
+      fail(`${where} must be an http://, https://, ws:// or wss:// URL, got "${value}"`);
+    }
+    return url;
+  };
+
+  let endpoint;
+  if (process.env.WSJ_CDP_URL) endpoint = urlEndpoint(process.env.WSJ_CDP_URL, '$WSJ_CDP_URL');
+  else if (process.env.WSJ_CDP_PORT) endpoint = portEndpoint(process.env.WSJ_CDP_PORT, '$WSJ_CDP_PORT');
+  else if (config.cdp_url) endpoint = urlEndpoint(config.cdp_url, `cdp_url in ${CONFIG_FILE}`);
+  else if (config.cdp_port !== undefined) endpoint = portEndpoint(config.cdp_port, `cdp_port in ${CONFIG_FILE}`);
+  else endpoint = new URL(`http://127.0.0.1:${DEFAULT_CDP_PORT}`);
+
+  const secure = endpoint.protocol === 'https:' || endpoint.protocol === 'wss:';
+  const ws = endpoint.protocol === 'ws:' || endpoint.protocol === 'wss:';
+  const httpBase = `${secure ? 'https' : 'http'}://${endpoint.host}`;
+
+  const profileFlag = process.argv.includes('--profile-dir') ? getFlagValue(process.argv, '--profile-dir') : undefined;
+  if (profileFlag === null) fail('--profile-dir needs a directory');
+  const profileDir = resolve((profileFlag || config.profile_dir || DEFAULT_CHROME_DIR).replace(/^~(?=$|\/)/, homedir()));
+
+  cdpSettings = {
+    // A ws:// URL is the browser's own debugger URL, used as given
+    url: ws ? endpoint.href : httpBase,
+    httpBase,
+    ws,
+    port: Number(endpoint.port) || (secure ? 443 : 80),
+    local: ['127.0.0.1', 'localhost', '[::1]'].includes(endpoint.hostname),
+    profileDir,
+    // Chrome started by `wsj setup`: { pid, executable, headless, port, started_at }
+    pidFile: join(profileDir, 'wsj-chrome.pid')
+  };
+  return cdpSettings;
+}
+
 // Check if Chrome is running with CDP
 async function checkCDP() {
+  const { url, httpBase, ws } = getCDPSettings();
   try {
-    const res = await fetch(`${CDP_URL}/json/version`);
+    const res = await fetch(`${httpBase}/json/version`, { signal: AbortSignal.timeout(5000) });
     const data = await res.json();
     return { connected: true, browser: data.Browser };
+  } catch {
+    if (!ws) return { connected: false };
+  }
+
+  // A ws:// endpoint behind a proxy may not serve /json/version; try the socket itself
+  try {
+    const browser = await chromium.connectOverCDP(url, { timeout: 5000 });
+    const version = browser.version();
+    await browser.close();
+    return { connected: true, browser: version };
   } catch {
     return { connected: false };
   }
 }
 
+// Seconds to wait for a freshly started Chrome to answer on the CDP port
+const CHROME_START_TIMEOUT = 15;
+
+// Chrome/Chromium binaries looked up on $PATH, then at fixed locations
+const CHROME_COMMANDS = ['google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser', 'chrome'];
+const CHROME_PATHS = IS_MACOS
+  ? ['/Applications/Google Chrome.app/Contents/MacOS/Google Chrome', '/Applications/Chromium.app/Contents/MacOS/Chromium']
+  : ['/opt/google/chrome/chrome', '/usr/bin/google-chrome', '/usr/bin/chromium', '/usr/bin/chromium-browser', '/snap/bin/chromium'];
+
+// Find a Chrome to launch: $WSJ_CHROME_PATH, then the platform's usual
+// install locations and $PATH, then Playwright's bundled Chromium. Returns
+// { path, source } or null.
+function findChrome() {
+  if (process.env.WSJ_CHROME_PATH) {
+    return { path: process.env.WSJ_CHROME_PATH, source: '$WSJ_CHROME_PATH' };
+  }
+
+  const onPath = (process.env.PATH || '').split(':').filter(Boolean)
+    .flatMap(dir => CHROME_COMMANDS.map(cmd => join(dir, cmd)));
+  const candidates = IS_MACOS ? [...CHROME_PATHS, ...onPath] : [...onPath, ...CHROME_PATHS];
+  const found = candidates.find(path => existsSync(path));
+  if (found) return { path: found, source: 'system' };
+
+  try {
+    const bundled = chromium.executablePath();
+    if (bundled && existsSync(bundled)) return { path: bundled, source: 'playwright' };
+  } catch {
+    // Playwright browsers not installed
+  }
+  return null;
+}
+
+function readChromePid() {
+  try {
+    return JSON.parse(readFileSync(getCDPSettings().pidFile, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// Whether pid is still alive and (where /proc can tell) still our Chrome,
+// not an unrelated process that reused the pid
+function isSetupChrome(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (e) {
+    if (e.code !== 'EPERM') return false;
+  }
+  const cmdline = `/proc/${pid}/cmdline`;
+  if (!existsSync(cmdline)) return true;
+  return readFileSync(cmdline, 'utf-8').includes('--remote-debugging-port=');
+}
+
 // Start Chrome with CDP enabled
-function startChrome() {
-  if (!IS_MACOS) {
-    console.error('ERROR: wsj setup only works on macOS.\n');
-    console.error('On other platforms, start Chrome manually with:');
-    console.error(`  google-chrome --remote-debugging-port=${CDP_PORT} --user-data-dir=~/.config/wsj/chrome https://www.wsj.com`);
+async function startChrome({ headless }) {
+  const { url, port, local, profileDir, pidFile } = getCDPSettings();
+  if (!local) {
+    console.error(`ERROR: The CDP endpoint ${url} is not on this machine.`);
+    console.error('Start Chrome there with --remote-debugging-port, or unset WSJ_CDP_URL to start one here.');
     process.exit(1);
   }
+  const status = await checkCDP();
+  if (status.connected) {
+    console.log(`Chrome is already running with CDP at ${url} (${status.browser}).`);
+    console.log('Stop it with "wsj setup --stop" to restart it with different options.');
+    return;
+  }
 
-  const chromePath = '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
+  const chrome = findChrome();
+  if (!chrome) {
+    console.error('ERROR: Could not find Chrome or Chromium.\n');
+    console.error('Install Google Chrome or Chromium, or Playwright\'s bundled Chromium:');
+    console.error('  npx playwright install chromium');
+    console.error('or point WSJ_CHROME_PATH at a Chrome binary.');
+    process.exit(1);
+  }
+  if (!existsSync(chrome.path)) {
+    console.error(`ERROR: ${chrome.source} does not exist: ${chrome.path}`);
+    process.exit(1);
+  }
 
-  console.log('Starting Chrome with CDP enabled...\n');
+  console.log(`Starting Chrome with CDP enabled${headless ? ' (headless)' : ''}...\n`);
 
-  const chrome = spawn(chromePath, [
-    `--remote-debugging-port=${CDP_PORT}`,
-    `--user-data-dir=${CHROME_DIR}`,
+  mkdirSync(profileDir, { recursive: true });
+  const chromeArgs = [
+    `--remote-debugging-port=${port}`,
+    `--user-data-dir=${profileDir}`,
     '--no-first-run',
     '--no-default-browser-check',
+    ...(headless ? ['--headless=new', '--disable-gpu'] : []),
+    // Chrome refuses to start as root (common on build machines) with its sandbox on
+    ...(process.getuid?.() === 0 ? ['--no-sandbox'] : []),
     'https://www.wsj.com'
-  ], {
-    detached: true,
-    stdio: 'ignore'
-  });
+  ];
+  const child = spawn(chrome.path, chromeArgs, { detached: true, stdio: 'ignore' });
+  try {
+    await new Promise((resolve, reject) => {
+      child.once('spawn', resolve);
+      child.once('error', reject);
+    });
+  } catch (e) {
+    console.error(`ERROR: Could not start ${chrome.path}: ${e.message}`);
+    process.exit(1);
+  }
+  child.unref();
 
-  chrome.unref();
+  writeFileSync(pidFile, JSON.stringify({
+    pid: child.pid,
+    executable: chrome.path,
+    headless,
+    port,
+    started_at: new Date().toISOString()
+  }, null, 2));
+
+  let ready = null;
+  for (let waited = 0; waited < CHROME_START_TIMEOUT * 1000 && !ready; waited += 250) {
+    await sleep(250);
+    const check = await checkCDP();
+    if (check.connected) ready = check;
+    else if (!isSetupChrome(child.pid)) break;
+  }
+  if (!ready) {
+    console.error(`WARNING: Chrome (pid ${child.pid}) is not answering on port ${port}. Check "wsj status" in a moment.`);
+  }
 
-  console.log(`Chrome started with CDP on port ${CDP_PORT}`);
-  console.log(`Profile: ${CHROME_DIR}\n`);
+  console.log(`Chrome started with CDP on port ${port}${ready ? ` (${ready.browser})` : ''}`);
+  console.log(`Executable: ${chrome.path}`);
+  console.log(`Profile: ${profileDir}`);
+  console.log(`PID: ${child.pid} (stop with "wsj setup --stop")\n`);
   console.log('Next steps:');
-  console.log('1. Log into WSJ in the Chrome window that just opened');
+  if (headless) {
+    console.log('1. Headless Chrome has no window: log into WSJ once with a normal "wsj setup"');
+    console.log('   on this profile (or copy a logged-in profile to the path above)');
+  } else {
+    console.log('1. Log into WSJ in the Chrome window that just opened');
+  }
   console.log('2. Keep Chrome running in the background');
   console.log('3. Use "wsj read <url>" to read articles\n');
 }
 
-// Connect to Chrome via CDP
-async function connectCDP() {
-  const status = await checkCDP();
-  if (!status.connected) {
-    console.error('ERROR: Chrome not running with CDP enabled.\n');
-    console.error('Run "wsj setup" first to start Chrome with CDP.\n');
-    process.exit(1);
+// Stop the Chrome started by `wsj setup`, and only that one: the pid it
+// recorded in the profile. Any other Chrome on the CDP port (the user's own,
+// or another tool's) is left alone.
+async function stopChrome() {
+  const { url, pidFile, profileDir } = getCDPSettings();
+  const record = readChromePid();
+  if (record && isSetupChrome(record.pid)) {
+    process.kill(record.pid, 'SIGTERM');
+    for (let waited = 0; waited < 5000 && isSetupChrome(record.pid); waited += 100) await sleep(100);
+    if (isSetupChrome(record.pid)) process.kill(record.pid, 'SIGKILL');
+    rmSync(pidFile, { force: true });
+    console.log(`Stopped Chrome (pid ${record.pid}).`);
+    return;
   }
+  rmSync(pidFile, { force: true });
+
+  if (!(await checkCDP()).connected) {
+    console.log('Chrome is not running.');
+    return;
+  }
+  console.error(`ERROR: No Chrome started by "wsj setup" is tracked for ${profileDir}.`);
+  console.error(`Not stopping the Chrome at ${url}; close it yourself.`);
+  process.exit(1);
+}
+
+async function handleSetup(args) {
+  if (args.includes('--stop')) {
+    await stopChrome();
+    return;
+  }
+  await startChrome({ headless: args.includes('--headless') });
+}
 
-  const browser = await chromium.connectOverCDP(CDP_URL);
+// Connect to Chrome via CDP. Throws when Chrome isn't running or refuses
+// the connection (e.g. /json/version answers but the DevTools socket doesn't).
+async function openCDP() {
+  const { url } = getCDPSettings();
+  const status = await checkCDP();
+  if (!status.connected) throw new Error(`Chrome not running with CDP enabled (${url}).`);
+
+  let browser;
+  try {
+    browser = await chromium.connectOverCDP(url);
+  } catch (e) {
+    throw new Error(`Could not connect to Chrome at ${url}: ${e.message.split('\n')[0]}`);
+  }
   const contexts = browser.contexts();
   const context = contexts[0] || await browser.newContext();
   return { browser, context };
 }
 
+// Connect to Chrome via CDP, exiting with the setup hint when that fails
+async function connectCDP() {
+  try {
+    return await openCDP();
+  } catch (e) {
+    console.error(`ERROR: ${e.message}\n`);
+    console.error('Run "wsj setup" first to start Chrome with CDP.\n');
+    process.exit(1);
+  }
+}
+
 // ============================================
-// RSS Tool
+// Feed Cache (~/.config/wsj/cache)
 // ============================================
 
-async function fetchRSSSection(section) {
-  const feedUrl = RSS_FEEDS[section];
-  const response = await fetch(feedUrl);
-  const xml = await response.text();
-  const items = parseRSS(xml);
+function getCacheTTL() {
+  const ttl = Number(process.env.WSJ_CACHE_TTL);
+  return process.env.WSJ_CACHE_TTL && Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_CACHE_TTL;
+}
+
+// One file per section and feed URL, so a changed URL never serves stale content
+function feedCachePath(section, url) {
+  const hash = createHash('sha1').update(url).digest('hex').slice(0, 12);
+  return join(CACHE_DIR, `${section}-${hash}.json`);
+}
+
+function readFeedCache(section, url) {
+  const file = feedCachePath(section, url);
+  if (!existsSync(file)) return null;
+  try {
+    const entry = JSON.parse(readFileSync(file, 'utf-8'));
+    return entry.url === url && typeof entry.body === 'string' ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeFeedCache(section, url, entry) {
+  mkdirSync(CACHE_DIR, { recursive: true });
+  writeFileSync(feedCachePath(section, url), JSON.stringify({ url, ...entry }) + '\n');
+}
+
+// Seconds since the cache entry was last fetched or revalidated
+function cacheAgeSeconds(entry) {
+  return Math.max(0, Math.floor((Date.now() - new Date(entry.validated_at).getTime()) / 1000));
+}
+
+const MAX_REDIRECTS = 5;
+
+// Per-request timeout and retry defaults (override with --timeout / --retries)
+const DEFAULT_FETCH_TIMEOUT = 10;
+const DEFAULT_FETCH_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 10000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Transient statuses worth retrying: request timeout, rate limit, server errors
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// Exponential backoff, honoring a Retry-After header (in seconds) when given
+function retryDelay(attempt, retryAfter) {
+  const seconds = Number(retryAfter);
+  const delay = retryAfter && Number.isFinite(seconds) ? seconds * 1000 : RETRY_BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(delay, RETRY_MAX_DELAY_MS);
+}
+
+// One GET of a feed URL, following redirects by hand so the chain can be
+// reported. The timeout covers the whole exchange, body included.
+async function fetchFeedOnce(url, { headers, timeout }) {
+  const redirects = [];
+  const signal = AbortSignal.timeout(timeout * 1000);
+  let current = url;
+  try {
+    for (;;) {
+      const response = await fetch(current, { headers, redirect: 'manual', signal });
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        await response.body?.cancel();
+        if (redirects.length >= MAX_REDIRECTS) throw new Error(`Too many redirects fetching ${url}`);
+        redirects.push({ url: current, status: response.status });
+        current = new URL(location, current).href;
+        continue;
+      }
+      const body = await response.text();
+      return { response, body, url: current, redirects };
+    }
+  } catch (e) {
+    if (e.name === 'TimeoutError') throw new Error(`Timed out after ${timeout}s fetching ${current}`);
+    if (e.message.startsWith('Too many redirects')) throw e;
+    throw new Error(`Could not fetch ${current}: ${e.cause?.message || e.message}`);
+  }
+}
+
+// GET a feed URL with a per-request timeout, retrying network errors,
+// timeouts and transient HTTP statuses with exponential backoff.
+// Resolves to { response, body, url, redirects }.
+async function fetchFeed(url, { headers = {}, timeout = DEFAULT_FETCH_TIMEOUT, retries = 0 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let result;
+    try {
+      result = await fetchFeedOnce(url, { headers, timeout });
+    } catch (e) {
+      if (attempt >= retries || e.message.startsWith('Too many redirects')) throw e;
+      await sleep(retryDelay(attempt));
+      continue;
+    }
+    if (attempt < retries && isRetryableStatus(result.response.status)) {
+      await sleep(retryDelay(attempt, result.response.headers.get('retry-after')));
+      continue;
+    }
+    return result;
+  }
+}
+
+// Parser warnings that mean the document stops early, as in a response cut
+// off mid-item. Other warnings are quirks the parser recovers from.
+const TRUNCATED_FEED_WARNING = /^(Unterminated |Unclosed <[^>]+> at end of document)/;
+
+// The first warning showing that the feed is truncated or broken, or null
+function feedStructureError(feed) {
+  return feed.warnings.find(w => TRUNCATED_FEED_WARNING.test(w)) || null;
+}
+
+// Parse a feed body, throwing a descriptive error if it isn't RSS or Atom or
+// is cut off
+function parseFeedOrThrow(section, xml, { url, contentType } = {}) {
+  const feed = parseFeed(xml);
+  if (!feed.format) {
+    const detail = [contentType && `content-type ${contentType}`, feed.warnings[0]].filter(Boolean).join('; ');
+    throw new Error(`Feed "${section}" did not return RSS or Atom${url ? ` from ${url}` : ''}${detail ? ` (${detail})` : ''}`);
+  }
+  const broken = feedStructureError(feed);
+  if (broken) {
+    throw new Error(`Feed "${section}" returned incomplete or malformed XML${url ? ` from ${url}` : ''} (${broken})`);
+  }
+  return feed;
+}
+
+// Load and parse a feed, using the cache when it is younger than maxAge
+// seconds and a conditional GET (ETag / Last-Modified) otherwise. With
+// offline, never touches the network. Only valid, complete feeds are cached.
+async function loadFeed(section, feedUrl, {
+  maxAge = getCacheTTL(),
+  offline = false,
+  timeout = DEFAULT_FETCH_TIMEOUT,
+  retries = DEFAULT_FETCH_RETRIES
+} = {}) {
+  const cached = readFeedCache(section, feedUrl);
+
+  if (offline) {
+    if (!cached) throw new Error(`No cached copy of "${section}". Run without --offline first.`);
+    return { feed: parseFeed(cached.body), fetchedAt: cached.fetched_at, cached: true, cacheAge: cacheAgeSeconds(cached) };
+  }
+
+  if (cached && cacheAgeSeconds(cached) < maxAge) {
+    return { feed: parseFeed(cached.body), fetchedAt: cached.fetched_at, cached: true, cacheAge: cacheAgeSeconds(cached) };
+  }
+
+  const headers = {};
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.last_modified) headers['If-Modified-Since'] = cached.last_modified;
+
+  const { response, body: xml, url } = await fetchFeed(feedUrl, { headers, timeout, retries });
+  const now = new Date().toISOString();
+
+  if (response.status === 304 && cached) {
+    writeFeedCache(section, feedUrl, { ...cached, validated_at: now });
+    return { feed: parseFeed(cached.body), fetchedAt: cached.fetched_at, cached: true, cacheAge: 0 };
+  }
+
+  if (!response.ok) {
+    throw new Error(`Feed "${section}" returned HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''} from ${url}. Run "wsj doctor feeds" to diagnose.`);
+  }
+
+  const feed = parseFeedOrThrow(section, xml, { url, contentType: response.headers.get('content-type') });
+  writeFeedCache(section, feedUrl, {
+    etag: response.headers.get('etag'),
+    last_modified: response.headers.get('last-modified'),
+    fetched_at: now,
+    validated_at: now,
+    body: xml
+  });
+  return { feed, fetchedAt: now, cached: false, cacheAge: null };
+}
+
+// ============================================
+// Entity Extraction
+// ============================================
+
+// Companies recognized by name, keyed by ticker. The first name is canonical;
+// the rest are aliases. Names that are also common words in title-case
+// headlines (Target, Visa, Block, Arm) are left out.
+const KNOWN_COMPANIES = {
+  AAPL: ['Apple'],
+  ABNB: ['Airbnb'],
+  ADBE: ['Adobe'],
+  AMD: ['Advanced Micro Devices', 'AMD'],
+  AMZN: ['Amazon'],
+  AVGO: ['Broadcom'],
+  AXP: ['American Express'],
+  BA: ['Boeing'],
+  BABA: ['Alibaba'],
+  BAC: ['Bank of America'],
+  BLK: ['BlackRock'],
+  'BRK.B': ['Berkshire Hathaway', 'Berkshire'],
+  BX: ['Blackstone'],
+  C: ['Citigroup', 'Citi'],
+  CAT: ['Caterpillar'],
+  CMCSA: ['Comcast'],
+  COIN: ['Coinbase'],
+  COST: ['Costco'],
+  CRM: ['Salesforce'],
+  CSCO: ['Cisco'],
+  CVX: ['Chevron'],
+  DAL: ['Delta Air Lines'],
+  DELL: ['Dell'],
+  DIS: ['Disney', 'Walt Disney'],
+  F: ['Ford Motor', 'Ford'],
+  FDX: ['FedEx'],
+  GM: ['General Motors', 'GM'],
+  GOOGL: ['Alphabet', 'Google'],
+  GS: ['Goldman Sachs', 'Goldman'],
+  HD: ['Home Depot'],
+  IBM: ['IBM'],
+  INTC: ['Intel'],
+  JNJ: ['Johnson & Johnson'],
+  JPM: ['JPMorgan Chase', 'JPMorgan'],
+  KO: ['Coca-Cola'],
+  LLY: ['Eli Lilly'],
+  LMT: ['Lockheed Martin'],
+  MCD: ["McDonald's", 'McDonald’s'],
+  META: ['Meta Platforms', 'Meta'],
+  MRK: ['Merck'],
+  MRNA: ['Moderna'],
+  MS: ['Morgan Stanley'],
+  MSFT: ['Microsoft'],
+  MU: ['Micron'],
+  NFLX: ['Netflix'],
+  NKE: ['Nike'],
+  NVDA: ['Nvidia'],
+  NVO: ['Novo Nordisk'],
+  ORCL: ['Oracle'],
+  PEP: ['PepsiCo'],
+  PFE: ['Pfizer'],
+  PLTR: ['Palantir'],
+  PYPL: ['PayPal'],
+  QCOM: ['Qualcomm'],
+  SBUX: ['Starbucks'],
+  SCHW: ['Charles Schwab', 'Schwab'],
+  SHEL: ['Shell'],
+  SMCI: ['Super Micro Computer', 'Super Micro'],
+  SONY: ['Sony'],
+  T: ['AT&T'],
+  TM: ['Toyota'],
+  TSLA: ['Tesla'],
+  TSM: ['Taiwan Semiconductor Manufacturing', 'TSMC'],
+  UBER: ['Uber'],
+  UNH: ['UnitedHealth'],
+  VZ: ['Verizon'],
+  WFC: ['Wells Fargo'],
+  WMT: ['Walmart'],
+  XOM: ['Exxon Mobil', 'Exxon']
+};
+
+// Parenthesized all-caps words that are abbreviations, not tickers
+const TICKER_STOPWORDS = new Set([
+  'A', 'I', 'AI', 'AM', 'PM', 'ET', 'PT', 'TV', 'US', 'USA', 'UK', 'EU', 'UN', 'CEO', 'CFO', 'COO', 'CPI', 'PCE',
+  'GDP', 'IPO', 'ETF', 'EV', 'EVS', 'ESG', 'LLC', 'PLC', 'SEC', 'FTC', 'DOJ', 'FBI', 'CIA', 'FDA', 'EPA', 'FAA',
+  'IRS', 'ECB', 'IMF', 'NATO', 'OPEC', 'GOP', 'WSJ', 'NYSE', 'NASDAQ', 'FOMC', 'FED', 'BOJ', 'BOE', 'PBOC', 'SNB',
+  'WHO', 'CDC', 'NIH', 'WTO', 'OECD', 'EIA', 'IEA', 'D', 'R'
+]);
+
+// One-word aliases that are also everyday words or surnames ("Apple Pie",
+// "Harrison Ford"); they only count with corporate context, see extractEntities
+const AMBIGUOUS_ALIASES = new Set(['Amazon', 'Apple', 'Dell', 'Ford', 'Intel', 'Meta', 'Oracle', 'Shell']);
+const CORPORATE_AFTER = /^(?:['’]s)?\s+(?:Inc\b|Corp\b|Co\.|Ltd\b|PLC\b|shares\b|stock\b|CEO\b|Chief Executive\b|earnings\b|revenue\b)/;
+const CORPORATE_BEFORE = /(?:shares of|stake in|stock of)\s+$/i;
+
+// Single words before "(NYSE: XYZ)" that name an institution, not a company
+const GENERIC_NAME_WORDS = new Set([
+  'Committee', 'Commission', 'Council', 'Board', 'Agency', 'Authority', 'Department', 'Ministry', 'Reserve', 'Fund',
+  'Trust', 'Index', 'Exchange', 'Association', 'Institute', 'Court', 'Party', 'Union', 'Office', 'Administration',
+  'Company', 'Corporation', 'Shares', 'Stock'
+]);
+
+// First words that make a capitalized pair an institution, not a person
+const PERSON_STOPWORDS = new Set([
+  'The', 'A', 'An', 'This', 'That', 'These', 'Those', 'He', 'She', 'It', 'They', 'We', 'But', 'And', 'When',
+  'Federal', 'Central', 'Supreme', 'White', 'Wall', 'New', 'Treasury', 'Commerce', 'Justice', 'State', 'Officials',
+  'Analysts', 'Investors', 'Economists', 'Democrats', 'Republicans', 'China', 'Chinese', 'European', 'American'
+]);
+
+const COMPANY_ALIASES = Object.entries(KNOWN_COMPANIES)
+  .flatMap(([ticker, names]) => names.map(alias => ({ alias, ticker, name: names[0] })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+const COMPANY_REGEX = new RegExp(`(?<![\\p{L}\\p{N}])(?:${COMPANY_ALIASES.map(c => escapeRegExp(c.alias)).join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+
+// Last words that make the word before them part of a company name
+const COMPANY_SUFFIXES = /^(?:Inc|Corp|Co|Group|Holdings|Motors?|Automotive|Technologies|Therapeutics|Pharmaceuticals|Energy|Bank|Airlines|Systems|Financial)\.?$/;
+
+const TICKER_PATTERN = '[A-Z]{1,5}(?:\\.[A-Z])?';
+const PERSON_NAME = "[A-Z][a-z]+(?:\\s[A-Z]\\.)?(?:\\s(?:de|van|von|del)\\b)?\\s[A-Z][a-z'’]+(?:-[A-Z][a-z]+)?";
+const PERSON_ROLES = [
+  'Chief Executive Officer', 'Chief Executive', 'Chief Financial Officer', 'Chief Economist', 'Chief Investment Officer',
+  'CEO', 'CFO', 'Chairman', 'Chairwoman', 'Chair', 'President', 'Vice President', 'Secretary', 'Sen\\.', 'Senator',
+  'Rep\\.', 'Gov\\.', 'Governor', 'Prime Minister', 'Minister', 'Judge', 'Justice', 'Mayor', 'Director',
+  'founder', 'co-founder', 'analyst', 'economist', 'investor', 'billionaire', 'strategist'
+].join('|');
+const PERSON_PATTERNS = [
+  new RegExp(`\\b(?:${PERSON_ROLES})\\s+(${PERSON_NAME})`, 'g'),
+  new RegExp(`\\bsaid\\s+(${PERSON_NAME})`, 'g'),
+  new RegExp(`(${PERSON_NAME}),?\\s+(?:said|says|told|wrote)\\b`, 'g')
+];
+
+// Extract stock tickers, companies and people from free text. Tickers come
+// from "(NASDAQ: NVDA)", "$NVDA", a parenthesized known ticker "(NVDA)" and
+// from recognized company names; companies from KNOWN_COMPANIES and from the
+// word(s) before an exchange-prefixed ticker; people from capitalized names
+// next to a role ("CEO Jensen Huang") or attribution ("said Jane Doe").
+// Heuristic: it favors precision over recall, so "(FOMC)", "(D)" and an
+// "Apple" or "Ford" with no sign of the company are left out.
+function extractEntities(text) {
+  const source = String(text || '');
+  const tickers = [];
+  const companies = new Map();
+  const people = [];
+  const addTicker = (ticker) => { if (!tickers.includes(ticker)) tickers.push(ticker); };
+  const addCompany = (name, ticker) => {
+    if (!companies.has(name)) companies.set(name, { name, ticker });
+    if (ticker) addTicker(ticker);
+  };
+
+  const parenthesized = new RegExp(`(?:([A-Z][\\w&'’-]*)\\s)?(?:([A-Z][\\w&.'’-]*)\\s*)?\\(((?:NYSE|NASDAQ|Nasdaq)\\s*:\\s*)?(${TICKER_PATTERN})\\)`, 'g');
+  for (const [, first, second, exchange, ticker] of source.matchAll(parenthesized)) {
+    if (TICKER_STOPWORDS.has(ticker)) continue;
+    // With one word before the parenthesis, the first group takes it
+    const [previous, last] = second ? [first, second] : [undefined, first];
+    const known = KNOWN_COMPANIES[ticker];
+    // Without an exchange only known tickers of two or more letters count:
+    // "(BOJ)" is an abbreviation, "(D)" a party
+    if (!exchange && (!known || ticker.length === 1)) continue;
+    if (known) addCompany(known[0], ticker);
+    else if (last && previous && COMPANY_SUFFIXES.test(last)) addCompany(`${previous} ${last}`, ticker);
+    else if (last && !COMPANY_SUFFIXES.test(last) && !GENERIC_NAME_WORDS.has(last)) addCompany(last, ticker);
+    else addTicker(ticker);
+  }
+  for (const [, ticker] of source.matchAll(new RegExp(`(?<![\\w$])\\$(${TICKER_PATTERN})(?![\\w])`, 'g'))) {
+    addTicker(ticker);
+  }
+  for (const match of source.matchAll(COMPANY_REGEX)) {
+    const alias = match[0];
+    const { name, ticker } = COMPANY_ALIASES.find(c => c.alias === alias);
+    if (AMBIGUOUS_ALIASES.has(alias) && !tickers.includes(ticker)
+      && !CORPORATE_AFTER.test(source.slice(match.index + alias.length))
+      && !CORPORATE_BEFORE.test(source.slice(0, match.index))) continue;
+    addCompany(name, ticker);
+  }
+
+  for (const pattern of PERSON_PATTERNS) {
+    for (const [, name] of source.matchAll(pattern)) {
+      const person = name.replace(/\s+/g, ' ');
+      if (PERSON_STOPWORDS.has(person.split(' ')[0])) continue;
+      // "Goldman Sachs said" is a company; "Harrison Ford said" is a person
+      if (COMPANY_ALIASES.some(c => c.alias === person)) continue;
+      if (!people.includes(person)) people.push(person);
+    }
+  }
+
+  return { tickers, companies: [...companies.values()], people };
+}
+
+// Entities of an RSS item, read result or search result
+function articleEntities(article) {
+  return extractEntities([article.title, article.subtitle, article.description, article.snippet, article.content]
+    .filter(Boolean).join('\n'));
+}
+
+// ============================================
+// RSS Tool
+// ============================================
+
+// Fixture mode: read <section>.xml from $WSJ_FIXTURES_DIR instead of the
+// network. The cache is bypassed so replays are deterministic.
+function loadFixtureFeed(section) {
+  const file = join(FIXTURES_DIR, `${section}.xml`);
+  if (!existsSync(file)) {
+    throw new Error(`No fixture for "${section}" in ${FIXTURES_DIR} (expected ${section}.xml)`);
+  }
+  const feed = parseFeedOrThrow(section, readFileSync(file, 'utf-8'), { url: file });
+  return { feed, fetchedAt: statSync(file).mtime.toISOString(), cached: false, cacheAge: null };
+}
+
+async function fetchRSSSection(section, fetchOptions = {}) {
+  const feedUrl = RSS_FEEDS[section];
+  const { feed, fetchedAt, cached, cacheAge } = FIXTURES_DIR
+    ? loadFixtureFeed(section)
+    : await loadFeed(section, feedUrl, fetchOptions);
+  const { items } = feed;
 
   return {
     section,
-    fetched_at: new Date().toISOString(),
+    fetched_at: fetchedAt,
+    cached,
+    cache_age: cacheAge,
     articles: items.map(item => ({
       title: item.title,
       url: item.link,
       description: item.description,
       category: item.category || null,
+      author: item.author || null,
+      guid: item.guid || null,
+      image: item.image || null,
+      wsj: Object.keys(item.wsj).length > 0 ? item.wsj : null,
       pubDate: item.pubDate || null,
-      age: formatAge(item.pubDate) || null
+      age: formatAge(item.pubDate) || null,
+      entities: articleEntities(item)
     }))
   };
 }
 
+// Fetch several sections in parallel. A failing section doesn't abort the
+// rest: it is reported in errors as { section, error }.
+async function fetchSections(sections, fetchOptions = {}) {
+  const settled = await Promise.allSettled(sections.map(sec => fetchRSSSection(sec, fetchOptions)));
+  const results = [];
+  const errors = [];
+  settled.forEach((outcome, i) => {
+    if (outcome.status === 'fulfilled') {
+      results.push(outcome.value);
+    } else {
+      errors.push({ section: sections[i], error: outcome.reason.message });
+    }
+  });
+  return { results, errors };
+}
+
+// Normalize an article URL so tracking variants (?mod=..., #anchors, http vs
+// https, trailing slash) compare equal
+function canonicalUrl(url) {
+  try {
+    const u = new URL(url);
+    return `https://${u.host.toLowerCase()}${u.pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return url;
+  }
+}
+
+// Stable identity for an article across fetches
+function articleKey(article) {
+  return article.guid || canonicalUrl(article.url);
+}
+
+function pubTime(article) {
+  const ts = article.pubDate ? new Date(article.pubDate).getTime() : NaN;
+  return isNaN(ts) ? 0 : ts;
+}
+
+// Merge section results into one newest-first timeline. An article is a
+// duplicate if its guid or canonical URL was already seen; every section it
+// appeared in is recorded in `sections`.
+function mergeSections(results) {
+  const merged = [];
+  const index = new Map();
+  for (const result of results) {
+    for (const article of result.articles) {
+      const keys = [article.guid, canonicalUrl(article.url)].filter(Boolean);
+      const existing = keys.map(k => index.get(k)).find(Boolean);
+      const entry = existing || { ...article, sections: [] };
+      if (!existing) merged.push(entry);
+      if (!entry.sections.includes(result.section)) entry.sections.push(result.section);
+      for (const key of keys) index.set(key, entry);
+    }
+  }
+  return merged.sort((a, b) => pubTime(b) - pubTime(a));
+}
+
+// Value flags read by parseFetchOptions and parseArticleFilters. Commands
+// that call them build their value-flag lists from these, so a new option
+// can't be mistaken for a section or topic by one command and not another.
+const FETCH_VALUE_FLAGS = ['--max-age', '--timeout', '--retries'];
+const FILTER_VALUE_FLAGS = ['--since', '--until', '--limit', '--match', '--exclude', '--category', '--ticker'];
+
+// Flags of `wsj rss` that take a value
+const RSS_VALUE_FLAGS = [...FETCH_VALUE_FLAGS, ...FILTER_VALUE_FLAGS];
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Parse "90m", "24h", "2d", "1w" (relative to now) or an ISO date into a timestamp
+function parseTimeArg(value) {
+  const rel = String(value).match(/^(\d+(?:\.\d+)?)([mhdw])$/);
+  if (rel) return Date.now() - Number(rel[1]) * DURATION_UNITS[rel[2]];
+  const ts = Date.parse(value);
+  return isNaN(ts) ? null : ts;
+}
+
+// Parse --offline/--max-age/--timeout/--retries, exiting on invalid values
+function parseFetchOptions(args) {
+  const options = { offline: args.includes('--offline') };
+  const checks = [
+    ['--max-age', 'maxAge', v => Number.isInteger(v) && v >= 0, 'a non-negative number of seconds'],
+    ['--timeout', 'timeout', v => v > 0, 'a positive number of seconds'],
+    ['--retries', 'retries', v => Number.isInteger(v) && v >= 0, 'a non-negative integer']
+  ];
+  for (const [flag, key, valid, description] of checks) {
+    if (!args.includes(flag)) continue;
+    // A missing or blank value must not pass as Number(null) === 0
+    const raw = getFlagValue(args, flag);
+    const value = raw === null || raw.trim() === '' ? NaN : Number(raw);
+    if (!valid(value)) {
+      console.error(`Error: ${flag} must be ${description}`);
+      process.exit(1);
+    }
+    options[key] = value;
+  }
+  return options;
+}
+
+// Parse --since/--until/--limit/--match/--exclude/--category/--ticker, exiting on invalid values
+function parseArticleFilters(args) {
+  const filters = {};
+
+  for (const flag of ['--since', '--until']) {
+    if (!args.includes(flag)) continue;
+    const ts = parseTimeArg(getFlagValue(args, flag));
+    if (ts === null) {
+      console.error(`Error: ${flag} must be a duration (e.g. 90m, 24h, 2d, 1w) or an ISO date`);
+      process.exit(1);
+    }
+    filters[flag.slice(2)] = ts;
+  }
+
+  if (args.includes('--limit')) {
+    const limit = Number(getFlagValue(args, '--limit'));
+    if (!Number.isInteger(limit) || limit < 1) {
+      console.error('Error: --limit must be a positive integer');
+      process.exit(1);
+    }
+    filters.limit = limit;
+  }
+
+  for (const flag of ['--match', '--exclude']) {
+    if (!args.includes(flag)) continue;
+    try {
+      filters[flag.slice(2)] = new RegExp(getFlagValue(args, flag) ?? '', 'i');
+    } catch (e) {
+      console.error(`Error: invalid ${flag} pattern: ${e.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (args.includes('--category')) {
+    filters.category = (getFlagValue(args, '--category') || '').toLowerCase();
+  }
+
+  if (args.includes('--ticker')) {
+    const ticker = (getFlagValue(args, '--ticker') || '').replace(/^\$/, '').toUpperCase();
+    if (!/^[A-Z]{1,5}(\.[A-Z])?$/.test(ticker)) {
+      console.error('Error: --ticker must be a stock symbol (e.g. NVDA, BRK.B)');
+      process.exit(1);
+    }
+    filters.ticker = ticker;
+  }
+
+  return filters;
+}
+
+// Apply time-window, keyword, category and ticker filters (not --limit)
+function applyArticleFilters(articles, filters) {
+  return articles.filter(a => {
+    if (filters.since !== undefined || filters.until !== undefined) {
+      const ts = a.pubDate ? new Date(a.pubDate).getTime() : NaN;
+      if (isNaN(ts)) return false;
+      if (filters.since !== undefined && ts < filters.since) return false;
+      if (filters.until !== undefined && ts > filters.until) return false;
+    }
+    const text = `${a.title} ${a.description || ''}`;
+    if (filters.match && !filters.match.test(text)) return false;
+    if (filters.exclude && filters.exclude.test(text)) return false;
+    if (filters.category !== undefined && (a.category || '').toLowerCase() !== filters.category) return false;
+    if (filters.ticker && !(a.entities || articleEntities(a)).tickers.includes(filters.ticker)) return false;
+    return true;
+  });
+}
+
 async function handleRSS(args) {
-  await requireUser();  // Enforce user requirement (auto-registers if new)
+  const { username } = await requireUser();  // Enforce user requirement (auto-registers if new)
 
   const jsonOutput = hasJsonFlag(args);
-  const cleanArgs = removeFlags(args);
+  const cleanArgs = removeFlags(args, RSS_VALUE_FLAGS);
   const section = cleanArgs[0] || 'world';
+  const filters = parseArticleFilters(args);
+
+  const fetchOptions = parseFetchOptions(args);
+
+  // Seen tracking: every run records the articles it returns to this user and
+  // --new hides those. --mark-seen records everything fetched, including
+  // articles filtered out or past --limit, to catch up without reading them.
+  if (args.includes('--reset-seen')) resetSeenArticles(username);
+  const onlyNew = args.includes('--new');
+  const seen = getSeenArticles(username);
+  const recordSeen = (returned, fetched) => markArticlesSeen(username, (args.includes('--mark-seen') ? fetched : returned).map(articleKey));
+
+  const merge = args.includes('--merge');
+  if (merge && section !== 'all') {
+    console.error('Error: --merge only applies to "wsj rss all"');
+    process.exit(1);
+  }
+
+  // Annotate and filter articles, then trim to exactly what will be output.
+  // --limit applies to JSON too; markdown falls back to a per-view default.
+  const prepare = (articles) => {
+    const annotated = applyArticleFilters(articles, filters)
+      .map(a => ({ ...a, seen: articleKey(a) in seen }));
+    return onlyNew ? annotated.filter(a => !a.seen) : annotated;
+  };
+  const trim = (articles, displayLimit) => articles.slice(0, filters.limit ?? (jsonOutput ? Infinity : displayLimit));
+  const select = (result, displayLimit) => ({ ...result, articles: trim(prepare(result.articles), displayLimit) });
+
+  // Sections that failed are reported, not fatal, unless every one failed
+  const fetchAll = async () => {
+    const { results, errors } = await fetchSections(VALID_SECTIONS, fetchOptions);
+    if (results.length === 0) {
+      console.error('Error fetching RSS feeds:');
+      errors.forEach(e => console.error(`  ${e.section}: ${e.error}`));
+      process.exit(1);
+    }
+    if (!jsonOutput) {
+      errors.forEach(e => console.error(`Warning: skipped "${e.section}": ${e.error}`));
+    }
+    return { results, errors };
+  };
+
+  if (section === 'all' && merge) {
+    try {
+      const { results, errors } = await fetchAll();
+      const articles = trim(mergeSections(results.map(r => ({ ...r, articles: prepare(r.articles) }))), 15);
+
+      if (jsonOutput) {
+        console.log(JSON.stringify({
+          fetched_at: new Date().toISOString(),
+          merged: true,
+          articles,
+          errors
+        }, null, 2));
+      } else {
+        console.log('# WSJ Headlines (all sections, merged)\n');
+        if (onlyNew && articles.length === 0) console.log('No new articles.\n');
+        articles.forEach((item, i) => {
+          console.log(`${i + 1}. **${item.title}**${item.age ? ` (${item.age})` : ''}`);
+          if (item.description) {
+            console.log(`   ${item.description.slice(0, 150)}${item.description.length > 150 ? '...' : ''}`);
+          }
+          console.log(`   ${item.url}`);
+          console.log(`   [${item.sections.join(', ')}]`);
+          console.log();
+        });
+      }
+
+      recordSeen(articles, results.flatMap(r => r.articles));
+    } catch (e) {
+      console.error('Error fetching RSS feeds:', e.message);
+      process.exit(1);
+    }
+    return;
+  }
 
   if (section === 'all') {
     // Fetch all sections in parallel
     try {
-      const results = await Promise.all(
-        VALID_SECTIONS.map(sec => fetchRSSSection(sec))
-      );
+      const fetched = await fetchAll();
+      const results = fetched.results.map(result => select(result, 10));
 
       if (jsonOutput) {
         console.log(JSON.stringify({
           fetched_at: new Date().toISOString(),
-          sections: results
+          sections: results,
+          errors: fetched.errors
         }, null, 2));
       } else {
         for (const result of results) {
           console.log(`\n# WSJ Headlines (${result.section})\n`);
-          result.articles.slice(0, 10).forEach((item, i) => {
+          if (onlyNew && result.articles.length === 0) console.log('No new articles.\n');
+          result.articles.forEach((item, i) => {
             console.log(`${i + 1}. **${item.title}**${item.age ? ` (${item.age})` : ''}`);
             if (item.description) {
               console.log(`   ${item.description.slice(0, 150)}${item.description.length > 150 ? '...' : ''}`);
@@ -324,6 +1620,8 @@ async function handleRSS(args) {
           });
         }
       }
+
+      recordSeen(results.flatMap(r => r.articles), fetched.results.flatMap(r => r.articles));
     } catch (e) {
       console.error('Error fetching RSS feeds:', e.message);
       process.exit(1);
@@ -331,220 +1629,2342 @@ async function handleRSS(args) {
     return;
   }
 
-  if (!RSS_FEEDS[section]) {
-    console.error(`Unknown section: ${section}`);
-    console.error(`Available sections: ${VALID_SECTIONS.join(', ')}, all`);
+  if (!RSS_FEEDS[section]) {
+    console.error(`Unknown section: ${section}`);
+    console.error(`Available sections: ${VALID_SECTIONS.join(', ')}, all`);
+    process.exit(1);
+  }
+
+  try {
+    const fetched = await fetchRSSSection(section, fetchOptions);
+    const result = select(fetched, 15);
+
+    if (jsonOutput) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      console.log(`# WSJ Headlines (${section})\n`);
+      if (onlyNew && result.articles.length === 0) console.log('No new articles.\n');
+      result.articles.forEach((item, i) => {
+        console.log(`${i + 1}. **${item.title}**${item.age ? ` (${item.age})` : ''}`);
+        if (item.description) {
+          console.log(`   ${item.description.slice(0, 150)}${item.description.length > 150 ? '...' : ''}`);
+        }
+        console.log(`   ${item.url}`);
+        if (item.category) console.log(`   [${item.category}]`);
+        console.log();
+      });
+      console.log(`Available sections: ${VALID_SECTIONS.join(', ')}, all`);
+    }
+
+    recordSeen(result.articles, fetched.articles);
+  } catch (e) {
+    console.error('Error fetching headlines:', e.message);
+    process.exit(1);
+  }
+}
+
+// ============================================
+// Watch Tool
+// ============================================
+
+const DEFAULT_WATCH_INTERVAL = 60;
+
+// Flags of `wsj watch` that take a value
+const WATCH_VALUE_FLAGS = ['--interval', '--count', '--exec', ...FETCH_VALUE_FLAGS, ...FILTER_VALUE_FLAGS];
+
+// Run the --exec hook for one article: fields in WSJ_* env vars, the article
+// as JSON on stdin. Resolves with the exit code; hooks run one at a time.
+function runWatchHook(command, article, { jsonOutput }) {
+  return new Promise(resolve => {
+    const child = spawn(command, {
+      shell: true,
+      // Keep NDJSON on stdout clean: hook output goes to stderr in --json mode
+      stdio: ['pipe', jsonOutput ? 2 : 'inherit', 'inherit'],
+      env: {
+        ...process.env,
+        WSJ_TITLE: article.title,
+        WSJ_URL: article.url,
+        WSJ_SECTION: article.sections[0],
+        WSJ_SECTIONS: article.sections.join(','),
+        WSJ_PUBDATE: article.pubDate || ''
+      }
+    });
+    child.on('error', e => {
+      console.error(`Warning: --exec failed for "${article.title}": ${e.message}`);
+      resolve(null);
+    });
+    child.on('close', code => resolve(code));
+    child.stdin.on('error', () => {});  // Hook may exit without reading stdin
+    child.stdin.end(JSON.stringify(article) + '\n');
+  });
+}
+
+function printWatchArticle(article) {
+  const time = new Date(pubTime(article) || Date.now()).toTimeString().slice(0, 5);
+  console.log(`${time}  [${article.sections.join(', ')}] ${article.title}`);
+  console.log(`       ${article.url}`);
+}
+
+async function handleWatch(args) {
+  await requireUser();  // Enforce user requirement (auto-registers if new)
+
+  const jsonOutput = hasJsonFlag(args);
+  const requested = removeFlags(args, WATCH_VALUE_FLAGS);
+  const sections = requested.length === 0 || requested.includes('all') ? VALID_SECTIONS : requested;
+  const unknown = sections.filter(sec => !RSS_FEEDS[sec]);
+  if (unknown.length > 0) {
+    console.error(`Unknown section: ${unknown.join(', ')}`);
+    console.error(`Available sections: ${VALID_SECTIONS.join(', ')}, all`);
+    process.exit(1);
+  }
+
+  const interval = args.includes('--interval') ? Number(getFlagValue(args, '--interval')) : DEFAULT_WATCH_INTERVAL;
+  if (!(interval > 0)) {
+    console.error('Error: --interval must be a positive number of seconds');
+    process.exit(1);
+  }
+  const count = args.includes('--count') ? Number(getFlagValue(args, '--count')) : Infinity;
+  if (count !== Infinity && !(Number.isInteger(count) && count > 0)) {
+    console.error('Error: --count must be a positive integer');
+    process.exit(1);
+  }
+  const hook = args.includes('--exec') ? getFlagValue(args, '--exec') : null;
+  if (args.includes('--exec') && !hook) {
+    console.error('Error: --exec needs a shell command');
+    process.exit(1);
+  }
+  if (args.includes('--limit')) {
+    console.error('Error: --limit does not apply to watch (use --count to stop after n polls)');
+    process.exit(1);
+  }
+  const filters = parseArticleFilters(args);
+  // Revalidate every poll; 304s keep this cheap
+  const fetchOptions = { maxAge: Math.floor(interval), ...parseFetchOptions(args) };
+
+  // Stop after the current poll on SIGINT/SIGTERM; a second signal exits at once
+  let stopping = false;
+  let wake = null;
+  const stop = () => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    if (wake) wake();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  if (!jsonOutput) {
+    console.log(`# Watching ${sections.join(', ')} every ${interval}s (Ctrl-C to stop)\n`);
+  }
+
+  // Keys of every article emitted this session, so a story is shown once
+  // even if it moves between sections or polls
+  const emitted = new Set();
+
+  for (let poll = 1; poll <= count && !stopping; poll++) {
+    const { results, errors } = await fetchSections(sections, fetchOptions);
+    errors.forEach(e => console.error(`Warning: ${e.section}: ${e.error}`));
+
+    const filtered = results.map(r => ({ ...r, articles: applyArticleFilters(r.articles, filters) }));
+    // Oldest first, so the newest headline ends up at the bottom of the terminal
+    const fresh = mergeSections(filtered).reverse().filter(a => !emitted.has(articleKey(a)));
+
+    for (const article of fresh) {
+      emitted.add(articleKey(article));
+      if (jsonOutput) {
+        console.log(JSON.stringify(article));
+      } else {
+        printWatchArticle(article);
+      }
+      if (hook) {
+        const code = await runWatchHook(hook, article, { jsonOutput });
+        if (code) console.error(`Warning: --exec exited with code ${code} for "${article.title}"`);
+      }
+    }
+
+    if (poll < count && !stopping) {
+      await new Promise(resolve => {
+        wake = resolve;
+        setTimeout(resolve, interval * 1000);
+      });
+      wake = null;
+    }
+  }
+
+  if (!jsonOutput && stopping) console.error('\nStopped watching.');
+  process.exit(0);
+}
+
+// ============================================
+// Feeds Tool
+// ============================================
+
+function validateFeedName(name) {
+  if (!/^[a-z0-9][a-z0-9_-]*$/.test(name)) {
+    return 'Feed name must be lowercase letters, digits, "-" or "_"';
+  }
+  if (name === 'all') {
+    return '"all" is reserved';
+  }
+  return null;
+}
+
+function validateFeedUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? null : 'Feed URL must be http(s)';
+  } catch {
+    return `Invalid URL: ${url}`;
+  }
+}
+
+async function handleFeeds(args) {
+  const subcommand = args[0] || 'list';
+  const custom = loadCustomFeeds();
+
+  switch (subcommand) {
+    case 'list': {
+      const feeds = VALID_SECTIONS.map(name => ({
+        name,
+        url: RSS_FEEDS[name],
+        source: !custom[name] ? 'builtin' : BUILTIN_FEEDS[name] ? 'override' : 'custom',
+        ...(custom[name] && BUILTIN_FEEDS[name] ? { builtin_url: BUILTIN_FEEDS[name] } : {})
+      }));
+
+      if (hasJsonFlag(args)) {
+        console.log(JSON.stringify({ feeds }, null, 2));
+      } else {
+        console.log('# WSJ Feeds\n');
+        for (const feed of feeds) {
+          console.log(`${feed.name.padEnd(12)} ${feed.url}${feed.source === 'builtin' ? '' : ` (${feed.source})`}`);
+        }
+      }
+      break;
+    }
+
+    case 'add': {
+      const [name, url] = removeFlags(args.slice(1));
+      if (!name || !url) {
+        console.error('Usage: wsj feeds add <name> <url>');
+        console.error('\nExample:');
+        console.error('  wsj feeds add economy https://feeds.content.dowjones.io/public/rss/socialeconomyfeed');
+        process.exit(1);
+      }
+
+      const error = validateFeedName(name) || validateFeedUrl(url);
+      if (error) {
+        console.error(`Error: ${error}`);
+        process.exit(1);
+      }
+
+      custom[name] = url;
+      saveCustomFeeds(custom);
+      console.log(BUILTIN_FEEDS[name]
+        ? `Overrode built-in feed "${name}" with ${url}`
+        : `Added feed "${name}": ${url}`);
+      break;
+    }
+
+    case 'rm':
+    case 'remove': {
+      const name = args[1];
+      if (!name) {
+        console.error('Usage: wsj feeds rm <name>');
+        process.exit(1);
+      }
+      if (!custom[name]) {
+        console.error(BUILTIN_FEEDS[name]
+          ? `Error: "${name}" is a built-in feed and cannot be removed.`
+          : `Feed "${name}" not found.`);
+        process.exit(1);
+      }
+
+      delete custom[name];
+      saveCustomFeeds(custom);
+      console.log(BUILTIN_FEEDS[name]
+        ? `Removed override for "${name}" (restored ${BUILTIN_FEEDS[name]})`
+        : `Removed feed "${name}"`);
+      break;
+    }
+
+    default:
+      console.error('Usage: wsj feeds <command>');
+      console.error('\nCommands:');
+      console.error('  list [--json]       List built-in and custom feeds');
+      console.error('  add <name> <url>    Add a feed, or override a built-in feed URL');
+      console.error('  rm <name>           Remove a custom feed or override');
+      process.exit(1);
+  }
+}
+
+// ============================================
+// Doctor Tool
+// ============================================
+
+// A feed whose newest item is older than this is probably frozen (see ADR-009)
+const STALE_FEED_DAYS = 7;
+
+// Fetch one feed directly (bypassing the cache) and report what came back.
+// In fixture mode the recorded file is checked instead.
+async function diagnoseFeed(section, url) {
+  const report = {
+    section,
+    url,
+    ok: false,
+    status: null,
+    redirects: [],
+    final_url: url,
+    content_type: null,
+    format: null,
+    items: 0,
+    newest_pubDate: null,
+    newest_age: null,
+    warnings: [],
+    error: null
+  };
+
+  try {
+    let feed;
+    if (FIXTURES_DIR) {
+      report.url = report.final_url = join(FIXTURES_DIR, `${section}.xml`);
+      feed = loadFixtureFeed(section).feed;
+    } else {
+      const { response, body, url: finalUrl, redirects } = await fetchFeed(url);
+      report.status = response.status;
+      report.redirects = redirects;
+      report.final_url = finalUrl;
+      report.content_type = response.headers.get('content-type');
+
+      if (!response.ok) {
+        report.error = `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`;
+        return report;
+      }
+      feed = parseFeed(body);
+    }
+
+    report.format = feed.format;
+    report.items = feed.items.length;
+    report.warnings.push(...feed.warnings);
+
+    if (!feed.format) {
+      report.error = 'Response is not an RSS or Atom document';
+      return report;
+    }
+    const broken = feedStructureError(feed);
+    if (broken) {
+      report.error = `Incomplete or malformed XML: ${broken}`;
+      return report;
+    }
+    if (report.content_type && !/xml|rss|atom/i.test(report.content_type)) {
+      report.warnings.push(`Unexpected content type: ${report.content_type}`);
+    }
+    if (feed.items.length === 0) {
+      report.warnings.push('Feed contains no items');
+    }
+
+    const newest = feed.items.reduce((max, item) => Math.max(max, pubTime(item)), 0);
+    if (newest > 0) {
+      report.newest_pubDate = new Date(newest).toISOString();
+      report.newest_age = formatAge(report.newest_pubDate);
+      const ageDays = (Date.now() - newest) / (24 * 60 * 60 * 1000);
+      if (ageDays > STALE_FEED_DAYS) {
+        report.warnings.push(`Newest item is ${Math.floor(ageDays)} days old; the feed may be frozen or moved`);
+      }
+    }
+    report.ok = true;
+  } catch (e) {
+    report.error = e.message;
+  }
+  return report;
+}
+
+async function handleDoctor(args) {
+  const subcommand = removeFlags(args)[0];
+
+  if (subcommand !== 'feeds') {
+    console.error('Usage: wsj doctor feeds [--json]');
+    console.error('\nChecks every feed: HTTP status, redirects, content type, item count, newest item.');
+    process.exit(1);
+  }
+
+  const reports = await Promise.all(VALID_SECTIONS.map(sec => diagnoseFeed(sec, RSS_FEEDS[sec])));
+  const healthy = reports.every(r => r.ok);
+
+  if (hasJsonFlag(args)) {
+    console.log(JSON.stringify({
+      checked_at: new Date().toISOString(),
+      ok: healthy,
+      feeds: reports
+    }, null, 2));
+  } else {
+    console.log('# Feed Health\n');
+    for (const r of reports) {
+      const summary = r.ok
+        ? `${r.items} item${r.items === 1 ? '' : 's'}${r.newest_age ? `, newest ${r.newest_age}` : ''}`
+        : r.error;
+      console.log(`${r.ok ? 'OK  ' : 'FAIL'} ${r.section.padEnd(12)} ${r.status ?? '---'}  ${summary}`);
+      console.log(`     ${r.url}`);
+      for (const hop of r.redirects) console.log(`     redirect ${hop.status} from ${hop.url}`);
+      if (r.redirects.length > 0) console.log(`     final URL ${r.final_url}`);
+      if (r.content_type) console.log(`     content-type ${r.content_type}`);
+      for (const warning of r.warnings) console.log(`     warning: ${warning}`);
+      console.log();
+    }
+  }
+
+  if (!healthy) process.exit(1);
+}
+
+// ============================================
+// Fixtures Tool
+// ============================================
+
+// Snapshot live feeds into <dir>/<section>.xml for replay via $WSJ_FIXTURES_DIR
+async function handleFixtures(args) {
+  const subcommand = args[0];
+  const rest = args.slice(1);
+
+  if (subcommand !== 'record') {
+    console.error('Usage: wsj fixtures record [sections...] [--dir <path>]');
+    console.error('\nRecords current feeds as <section>.xml for replay with WSJ_FIXTURES_DIR=<path>.');
+    process.exit(1);
+  }
+
+  const dir = getFlagValue(rest, '--dir') || FIXTURES_DIR || 'fixtures';
+  const requested = removeFlags(rest, ['--dir']);
+  const sections = requested.length > 0 ? requested : VALID_SECTIONS;
+  const unknown = sections.filter(sec => !RSS_FEEDS[sec]);
+  if (unknown.length > 0) {
+    console.error(`Unknown section: ${unknown.join(', ')}`);
+    console.error(`Available sections: ${VALID_SECTIONS.join(', ')}`);
+    process.exit(1);
+  }
+
+  mkdirSync(dir, { recursive: true });
+  const manifest = { recorded_at: new Date().toISOString(), feeds: {} };
+  let failed = 0;
+
+  // Always from the network: recording must not replay existing fixtures
+  for (const sec of sections) {
+    try {
+      const { response, body, url } = await fetchFeed(RSS_FEEDS[sec], { retries: DEFAULT_FETCH_RETRIES });
+      if (!response.ok) throw new Error(`HTTP ${response.status} from ${url}`);
+      const feed = parseFeedOrThrow(sec, body, { url, contentType: response.headers.get('content-type') });
+      writeFileSync(join(dir, `${sec}.xml`), body);
+      manifest.feeds[sec] = { url: RSS_FEEDS[sec], items: feed.items.length, bytes: Buffer.byteLength(body) };
+      console.log(`Recorded ${sec} (${feed.items.length} items) -> ${join(dir, `${sec}.xml`)}`);
+    } catch (e) {
+      failed++;
+      console.error(`Failed to record ${sec}: ${e.message}`);
+    }
+  }
+
+  writeFileSync(join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`\nReplay with: WSJ_FIXTURES_DIR=${dir} wsj rss ...`);
+  if (failed > 0) process.exit(1);
+}
+
+// ============================================
+// Article Archive
+// ============================================
+
+// Every fully read article is kept in ARCHIVE_DIR/<id>.json, where id is a
+// hash of the canonical URL, so tracking variants of a link share one entry
+function archiveId(url) {
+  return createHash('sha1').update(canonicalUrl(url)).digest('hex').slice(0, 12);
+}
+
+function loadArchivedArticle(idOrUrl) {
+  const id = /^[0-9a-f]{12}$/.test(idOrUrl) ? idOrUrl : archiveId(idOrUrl);
+  const file = join(ARCHIVE_DIR, `${id}.json`);
+  if (!existsSync(file)) return null;
+  try {
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// Only full reads are archived: a paywall teaser must not shadow the article
+function archiveArticle(result) {
+  if (result.access !== 'full') return result;
+  const entry = { id: archiveId(result.url), ...result, archived_at: new Date().toISOString() };
+  delete entry.from_archive;
+  mkdirSync(ARCHIVE_DIR, { recursive: true });
+  writeFileSync(join(ARCHIVE_DIR, `${entry.id}.json`), JSON.stringify(entry, null, 2) + '\n');
+  return { ...result, archived_at: entry.archived_at };
+}
+
+function listArchivedArticles() {
+  if (!existsSync(ARCHIVE_DIR)) return [];
+  return readdirSync(ARCHIVE_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map(name => loadArchivedArticle(name.slice(0, -5)))
+    .filter(Boolean)
+    .sort((a, b) => (b.archived_at || '').localeCompare(a.archived_at || ''));
+}
+
+// ============================================
+// Read Tool (formerly article)
+// ============================================
+
+// Runs inside the article page (serialized by page.evaluate, so it must not
+// reference anything outside itself). Walks the body in document order and
+// returns typed blocks: heading, paragraph (with inline links), list, quote,
+// image (with caption/credit) and chart.
+function extractArticleBlocks() {
+  const text = (el) => (el?.innerText || '').replace(/\s+/g, ' ').trim();
+  const isJunk = (t) => t.includes('Subscribe') || t.includes('Sign In');
+  const absolute = (href) => { try { return new URL(href, location.href).href; } catch { return null; } };
+
+  // The article body is the candidate container holding the most real
+  // paragraphs. The whole page is only a fallback when no candidate has any:
+  // it holds every paragraph, sidebars and related stories included.
+  const candidates = Array.from(document.querySelectorAll(
+    'article, [class*="article-content"], [class*="body"], [data-testid*="article"], section'
+  )).filter(el => el !== document.body);
+  const paragraphCount = (el) => Array.from(el.querySelectorAll('p'))
+    .filter(p => text(p).length > 30 && !isJunk(text(p))).length;
+  const best = candidates.reduce((top, el) => (!top || paragraphCount(el) > paragraphCount(top) ? el : top), null);
+  const root = best && paragraphCount(best) > 0 ? best : document.body;
+
+  const CHART_HOSTS = /datawrapper|flourish|infogram|wsj\.com\/(graphics|story)|public\.tableau/;
+  const blocks = [];
+  const consumed = new Set();
+  const within = (el) => { for (let p = el.parentElement; p && p !== root; p = p.parentElement) if (consumed.has(p)) return true; return false; };
+
+  for (const el of root.querySelectorAll('h2, h3, h4, p, ul, ol, blockquote, [class*="pullquote"], figure, iframe, img')) {
+    if (within(el) || el.closest('nav, header, footer, aside:not([class*="pullquote"]), [class*="newsletter"], [class*="related"]')) continue;
+    const tag = el.tagName.toLowerCase();
+
+    if (/^h[2-4]$/.test(tag)) {
+      const t = text(el);
+      if (t && !isJunk(t)) blocks.push({ type: 'heading', level: Number(tag[1]), text: t });
+    } else if (tag === 'p') {
+      const t = text(el);
+      if (t.length <= 30 || isJunk(t)) continue;
+      const links = Array.from(el.querySelectorAll('a[href]'))
+        .map(a => ({ text: text(a), url: absolute(a.getAttribute('href')) }))
+        .filter(l => l.text && l.url);
+      blocks.push({ type: 'paragraph', text: t, links });
+    } else if (tag === 'ul' || tag === 'ol') {
+      const items = Array.from(el.children).filter(li => li.tagName === 'LI').map(text).filter(Boolean);
+      if (items.length > 0) blocks.push({ type: 'list', ordered: tag === 'ol', items });
+      consumed.add(el);
+    } else if (tag === 'blockquote' || el.matches('[class*="pullquote"]')) {
+      const cite = text(el.querySelector('cite, footer, [class*="attribution"]'));
+      const t = text(el);
+      const quote = cite && t.endsWith(cite) ? t.slice(0, -cite.length).replace(/[\s—–-]+$/, '') : t;
+      if (quote) blocks.push({ type: 'quote', text: quote, cite: cite || null });
+      consumed.add(el);
+    } else {
+      // figure, or a bare iframe/img outside one
+      const figure = tag === 'figure' ? el : null;
+      if (figure) consumed.add(figure);
+      const frame = tag === 'iframe' ? el : figure?.querySelector('iframe');
+      const chartLink = figure?.querySelector('a[href]');
+      const caption = figure ? figure.querySelector('figcaption') : null;
+      const creditEl = caption?.querySelector('[class*="credit"]') || figure?.querySelector('[class*="credit"]');
+      const credit = text(creditEl) || null;
+      let captionText = text(caption);
+      if (credit && captionText.endsWith(credit)) captionText = captionText.slice(0, -credit.length).trim();
+
+      const frameUrl = frame ? absolute(frame.getAttribute('src')) : null;
+      const linkUrl = chartLink ? absolute(chartLink.getAttribute('href')) : null;
+      const isChart = (frameUrl && CHART_HOSTS.test(frameUrl)) || (figure && figure.matches('[class*="chart"], [class*="graphic"]'));
+      if (isChart) {
+        blocks.push({ type: 'chart', url: frameUrl || linkUrl, title: frame?.getAttribute('title') || captionText || null, caption: captionText || null, credit });
+        continue;
+      }
+
+      const img = tag === 'img' ? el : figure?.querySelector('img');
+      const src = img && absolute(img.currentSrc || img.getAttribute('src'));
+      if (!src || src.startsWith('data:') || (img.naturalWidth && img.naturalWidth < 100)) continue;
+      blocks.push({ type: 'image', url: src, alt: img.getAttribute('alt') || null, caption: captionText || null, credit });
+    }
+  }
+
+  return blocks;
+}
+
+// Runs inside the article page. Collects the signs of a logged-out or
+// non-subscriber view: a visible paywall overlay, a sign-in/subscribe prompt,
+// and the page's own schema.org isAccessibleForFree flag.
+function detectPaywall() {
+  const visible = (el) => {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && getComputedStyle(el).visibility !== 'hidden';
+  };
+  const overlay = Array.from(document.querySelectorAll(
+    '[class*="paywall" i], [id*="paywall" i], [data-testid*="paywall" i], [class*="snippet-promotion"], [class*="login-wall" i], [class*="subscribe-wall" i]'
+  )).some(visible);
+
+  const body = document.body?.innerText || '';
+  const prompt = [
+    /Continue reading your article with/i,
+    /Subscribe to continue reading/i,
+    /Already a subscriber\?\s*Sign In/i,
+    /Sign in to (read|continue)/i
+  ].some(re => re.test(body));
+
+  let accessibleForFree = null;
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const data = [].concat(JSON.parse(script.textContent));
+      const flag = data.find(d => d && 'isAccessibleForFree' in d)?.isAccessibleForFree;
+      if (flag !== undefined) accessibleForFree = String(flag).toLowerCase() !== 'false';
+    } catch {
+      // Ignore malformed JSON-LD
+    }
+  }
+
+  return { overlay, prompt, accessibleForFree };
+}
+
+// Below this many words, a paywalled article (isAccessibleForFree: false) is
+// treated as the teaser. Kept low so short news briefs still count as full.
+const PREVIEW_WORD_THRESHOLD = 120;
+
+// Exit codes of `wsj read` when the article is not fully readable
+const EXIT_PREVIEW = 3;
+const EXIT_NO_ACCESS = 4;
+
+// Classify what the session could read: "full", "preview" (teaser behind a
+// paywall or sign-in prompt) or "none" (no article body at all). Free
+// articles show subscribe prompts to logged-out readers too, so prompts only
+// count when the page doesn't declare itself free.
+function classifyAccess({ overlay, prompt, accessibleForFree }, wordCount) {
+  const signals = [];
+  if (overlay && accessibleForFree !== true) signals.push('paywall-overlay');
+  if (prompt && accessibleForFree !== true) signals.push('sign-in-prompt');
+  if (accessibleForFree === false && wordCount > 0 && wordCount < PREVIEW_WORD_THRESHOLD) signals.push('truncated');
+  if (wordCount === 0) {
+    signals.push('no-content');
+    return { access: 'none', access_signals: signals };
+  }
+  return { access: signals.length > 0 ? 'preview' : 'full', access_signals: signals };
+}
+
+async function extractArticle(url, existingContext) {
+  let browser, context, shouldClose = false;
+  if (existingContext) {
+    context = existingContext;
+  } else {
+    const conn = await connectCDP();
+    browser = conn.browser;
+    context = conn.context;
+    shouldClose = true;
+  }
+
+  const page = await context.newPage();
+
+  try {
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 });
+    await page.waitForSelector('h1', { timeout: 5000 }).catch(() => {});
+
+    const meta = await page.evaluate(() => {
+      const title = document.querySelector('h1')?.innerText || '';
+      const subtitle = document.querySelector('[class*="sub-head"], [class*="summary"], [class*="dek"]')?.innerText || '';
+      const author = document.querySelector('[class*="author"], [class*="byline"]')?.innerText || '';
+      const date = document.querySelector('time, [class*="timestamp"]')?.innerText || '';
+      return { title, subtitle, author, date };
+    });
+    const blocks = await page.evaluate(extractArticleBlocks);
+    const paywall = await page.evaluate(detectPaywall);
+
+    // content stays the plain paragraph text, as before blocks existed
+    const content = blocks.filter(b => b.type === 'paragraph').map(b => b.text).join('\n\n');
+    const wordCount = content.split(/\s+/).filter(w => w.length > 0).length;
+
+    return { ...meta, content, word_count: wordCount, blocks, ...classifyAccess(paywall, wordCount) };
+  } finally {
+    await page.close();
+    if (shouldClose) await browser.close();
+  }
+}
+
+// Split paragraph text into plain and linked runs, in order of appearance
+function paragraphSegments({ text, links = [] }) {
+  const segments = [];
+  let cursor = 0;
+  for (const link of links) {
+    const at = text.indexOf(link.text, cursor);
+    if (at === -1) continue;
+    if (at > cursor) segments.push({ text: text.slice(cursor, at) });
+    segments.push({ text: link.text, url: link.url });
+    cursor = at + link.text.length;
+  }
+  if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+  return segments;
+}
+
+// Paragraph text with its links inlined as [text](url)
+function linkifyParagraph(block) {
+  return paragraphSegments(block).map(seg => (seg.url ? `[${seg.text}](${seg.url})` : seg.text)).join('');
+}
+
+// Render article blocks as markdown. The title is the page's H1, so article
+// headings start at ##.
+function renderBlocks(blocks) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(Math.min(block.level, 4))} ${block.text}`;
+      case 'paragraph':
+        return linkifyParagraph(block);
+      case 'list':
+        return block.items.map((item, i) => `${block.ordered ? `${i + 1}.` : '-'} ${item}`).join('\n');
+      case 'quote':
+        return `> ${block.text}${block.cite ? `\n>\n> — ${block.cite}` : ''}`;
+      case 'image': {
+        const caption = [block.caption, block.credit && `(${block.credit})`].filter(Boolean).join(' ');
+        return `![${block.alt || block.caption || ''}](${block.url})${caption ? `\n*${caption}*` : ''}`;
+      }
+      case 'chart': {
+        const label = `Chart: ${block.title || block.caption || 'interactive graphic'}`;
+        return `${block.url ? `[${label}](${block.url})` : `*${label}*`}${block.credit ? ` *(${block.credit})*` : ''}`;
+      }
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n\n');
+}
+
+// JSON shape of one read result
+function articleJSON(url, article) {
+  return {
+    url,
+    title: article.title,
+    subtitle: article.subtitle || null,
+    author: article.author || null,
+    date: article.date || null,
+    content: article.content,
+    word_count: article.word_count,
+    access: article.access,
+    access_signals: article.access_signals,
+    entities: articleEntities(article),
+    blocks: article.blocks
+  };
+}
+
+// Read one article: from the archive unless refresh, else through CDP (and
+// archive it). Returns the JSON shape with from_archive/archived_at.
+async function readArticle(url, { context, refresh }) {
+  const archived = !refresh && loadArchivedArticle(url);
+  if (archived) {
+    const { id, ...article } = archived;
+    return { ...article, entities: article.entities || articleEntities(article), url, from_archive: true };
+  }
+  const result = articleJSON(url, await extractArticle(url, context));
+  return archiveArticle({ ...result, from_archive: false, archived_at: null });
+}
+
+function printArticle(article) {
+  console.log(`# ${article.title}\n`);
+  console.log('---\n');
+  if (article.subtitle) console.log(`*${article.subtitle}*\n`);
+  if (article.author) console.log(`By ${article.author}`);
+  if (article.date) console.log(`${article.date}\n`);
+  if (article.access === 'preview') {
+    console.log('> **Preview only** — this is the teaser shown to logged-out readers.\n');
+  }
+  if (article.blocks.length > 0) {
+    console.log(renderBlocks(article.blocks));
+  } else {
+    console.log('(Could not extract content. Make sure you are logged into WSJ in Chrome.)');
+  }
+}
+
+function accessExitCode(access) {
+  if (access === 'preview') return EXIT_PREVIEW;
+  if (access === 'none') return EXIT_NO_ACCESS;
+  return 0;
+}
+
+const DEFAULT_READ_CONCURRENCY = 3;
+
+// Run fn over items with at most limit in flight; results keep input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function readStdinLines() {
+  if (process.stdin.isTTY) return [];
+  let data = '';
+  for await (const chunk of process.stdin) data += chunk;
+  return data.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+}
+
+// Why url can't be read as an article, or null for an http(s) URL
+function urlError(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? null : 'not an http(s) URL';
+  } catch (e) {
+    return e.message;
+  }
+}
+
+// Read several articles over one CDP connection, a few pages at a time. A
+// failing URL becomes { url, error } instead of aborting the batch; when
+// Chrome can't be reached, only the URLs that needed it fail.
+async function readBatch(urls, { concurrency, jsonOutput, ndjson, refresh }) {
+  const needsChrome = url => refresh || !loadArchivedArticle(url);
+  // Only connect when a valid URL actually has to be fetched
+  let browser, context, connectError;
+  let results;
+  try {
+    if (urls.some(url => !urlError(url) && needsChrome(url))) {
+      try {
+        ({ browser, context } = await openCDP());
+      } catch (e) {
+        connectError = `${e.message} Run "wsj setup" first.`;
+      }
+    }
+    results = await mapWithConcurrency(urls, concurrency, async (url) => {
+      let result;
+      try {
+        const invalid = urlError(url);
+        if (invalid) throw new Error(invalid);
+        if (connectError && needsChrome(url)) throw new Error(connectError);
+        result = await readArticle(url, { context, refresh });
+      } catch (e) {
+        result = { url, error: e.message };
+      }
+      // NDJSON streams results as they finish
+      if (ndjson) console.log(JSON.stringify(result));
+      return result;
+    });
+  } finally {
+    if (browser) await browser.close();
+  }
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(results, null, 2));
+  } else if (!ndjson) {
+    results.forEach((result, i) => {
+      if (i > 0) console.log('\n===\n');
+      if (result.error) {
+        console.log(`# ${result.url}\n\nError: ${result.error}`);
+      } else {
+        printArticle(result);
+      }
+    });
+  }
+
+  // Any failed URL -> 1; otherwise the worst access level (none 4, preview 3)
+  const failed = results.filter(r => r.error);
+  if (failed.length > 0) {
+    console.error(`\n${failed.length} of ${results.length} URLs failed.`);
+    process.exitCode = 1;
+    return;
+  }
+  const codes = results.map(r => accessExitCode(r.access));
+  process.exitCode = Math.max(...codes);
+  if (process.exitCode !== 0) {
+    console.error(`\nWarning: ${codes.filter(Boolean).length} of ${results.length} articles were not fully readable. Log into WSJ in the Chrome window started by "wsj setup", then retry.`);
+  }
+}
+
+async function handleRead(args) {
+  await requireUser();  // Enforce user requirement (auto-registers if new)
+
+  const jsonOutput = hasJsonFlag(args);
+  const ndjson = args.includes('--ndjson');
+  const fromStdin = args.includes('--stdin');
+  const refresh = args.includes('--refresh');
+  const urls = removeFlags(args, ['--concurrency']);
+  if (fromStdin) urls.push(...await readStdinLines());
+
+  if (urls.length === 0) {
+    console.error('Usage: wsj read <url...> [--json | --ndjson] [--concurrency <n>]');
+    console.error('       wsj read --stdin [--json | --ndjson] < urls.txt');
+    process.exit(1);
+  }
+
+  const concurrency = args.includes('--concurrency') ? Number(getFlagValue(args, '--concurrency')) : DEFAULT_READ_CONCURRENCY;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error('Error: --concurrency must be a positive integer');
+    process.exit(1);
+  }
+  if (jsonOutput && ndjson) {
+    console.error('Error: use either --json or --ndjson, not both');
+    process.exit(1);
+  }
+
+  if (urls.length > 1 || fromStdin || ndjson) {
+    await readBatch(urls, { concurrency, jsonOutput, ndjson, refresh });
+    return;
+  }
+
+  const url = urls[0];
+  try {
+    // Archived articles are served without Chrome
+    const needsBrowser = refresh || !loadArchivedArticle(url);
+    const { browser, context } = needsBrowser ? await connectCDP() : {};
+    let article;
+    try {
+      article = await readArticle(url, { context, refresh });
+    } finally {
+      if (browser) await browser.close();
+    }
+
+    if (jsonOutput) {
+      console.log(JSON.stringify(article, null, 2));
+    } else {
+      printArticle(article);
+    }
+
+    // Distinct exit codes let agents tell "ask the user to log in" apart from errors
+    if (article.access !== 'full') {
+      console.error(`\nWarning: ${article.access === 'preview' ? 'only a preview of this article is available' : 'no article content was available'} (${article.access_signals.join(', ')}).`);
+      console.error('Log into WSJ in the Chrome window started by "wsj setup", then retry.');
+      process.exitCode = accessExitCode(article.access);
+    }
+  } catch (e) {
+    console.error('Error:', e.message);
+    process.exit(1);
+  }
+}
+
+// ============================================
+// Archive Tool
+// ============================================
+
+const SEARCH_STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'were', 'will', 'with']);
+
+// BM25 parameters; title and subtitle terms count as several body terms
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const FIELD_WEIGHTS = { title: 3, subtitle: 2, content: 1 };
+
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu)?.filter(t => !SEARCH_STOPWORDS.has(t)) || [];
+}
+
+// Rank archived articles against a query with BM25 over field-weighted term
+// frequencies. The archive is small, so the index is built per search.
+function searchArchive(query, articles) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return [];
+
+  const docs = articles.map(article => {
+    const tf = new Map();
+    let length = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const token of tokenize(article[field])) {
+        tf.set(token, (tf.get(token) || 0) + weight);
+        length += weight;
+      }
+    }
+    return { article, tf, length };
+  });
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  const idf = Object.fromEntries(terms.map(term => {
+    const df = docs.filter(d => d.tf.has(term)).length;
+    return [term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+  }));
+
+  return docs
+    .map(({ article, tf, length }) => {
+      let score = 0;
+      for (const term of terms) {
+        const f = tf.get(term) || 0;
+        if (f === 0) continue;
+        score += idf[term] * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+      }
+      return { article, score };
+    })
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score || (b.article.archived_at || '').localeCompare(a.article.archived_at || ''));
+}
+
+// ~160 characters of content around the first query term
+function searchSnippet(content, query) {
+  const text = content || '';
+  const terms = tokenize(query);
+  const lower = text.toLowerCase();
+  const hits = terms.map(t => lower.search(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(t)}`, 'u'))).filter(i => i >= 0);
+  const at = hits.length > 0 ? Math.min(...hits) : 0;
+  const start = Math.max(0, text.lastIndexOf(' ', Math.max(0, at - 60)) + 1);
+  const end = Math.min(text.length, start + 160);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+async function handleArchive(args) {
+  await requireUser();  // Enforce user requirement (auto-registers if new)
+
+  const subcommand = args[0];
+  const rest = args.slice(1);
+  const jsonOutput = hasJsonFlag(rest);
+
+  switch (subcommand) {
+    case 'list': {
+      const articles = listArchivedArticles();
+      if (jsonOutput) {
+        console.log(JSON.stringify({
+          count: articles.length,
+          articles: articles.map(a => ({
+            id: a.id,
+            title: a.title,
+            url: a.url,
+            author: a.author,
+            date: a.date,
+            word_count: a.word_count,
+            archived_at: a.archived_at
+          }))
+        }, null, 2));
+      } else {
+        console.log(`# WSJ Archive (${articles.length} article${articles.length === 1 ? '' : 's'})\n`);
+        if (articles.length === 0) console.log('Articles are archived automatically by "wsj read".');
+        articles.forEach((a, i) => {
+          console.log(`${i + 1}. **${a.title}** [${a.id}]`);
+          console.log(`   ${a.url}`);
+          console.log(`   Archived ${a.archived_at}${a.word_count ? ` · ${a.word_count} words` : ''}\n`);
+        });
+      }
+      break;
+    }
+
+    case 'show': {
+      const target = removeFlags(rest)[0];
+      if (!target) {
+        console.error('Usage: wsj archive show <id|url> [--json]');
+        process.exit(1);
+      }
+      const article = loadArchivedArticle(target);
+      if (!article) {
+        console.error(`Not in archive: ${target}`);
+        process.exit(1);
+      }
+      if (jsonOutput) {
+        console.log(JSON.stringify(article, null, 2));
+      } else {
+        printArticle(article);
+      }
+      break;
+    }
+
+    case 'rm':
+    case 'remove': {
+      const targets = rest.includes('--all') ? listArchivedArticles().map(a => a.id) : removeFlags(rest);
+      if (targets.length === 0 && !rest.includes('--all')) {
+        console.error('Usage: wsj archive rm <id|url...> | --all');
+        process.exit(1);
+      }
+      let missing = 0;
+      for (const target of targets) {
+        const article = loadArchivedArticle(target);
+        if (!article) {
+          console.error(`Not in archive: ${target}`);
+          missing++;
+          continue;
+        }
+        rmSync(join(ARCHIVE_DIR, `${article.id}.json`));
+        console.log(`Removed ${article.id}: ${article.title}`);
+      }
+      if (missing > 0) process.exit(1);
+      break;
+    }
+
+    case 'search': {
+      const query = removeFlags(rest, ['--limit']).join(' ');
+      if (!query) {
+        console.error('Usage: wsj archive search "<query>" [--json] [--limit <n>]');
+        process.exit(1);
+      }
+      const limit = rest.includes('--limit') ? Number(getFlagValue(rest, '--limit')) : 10;
+      if (!Number.isInteger(limit) || limit < 1) {
+        console.error('Error: --limit must be a positive integer');
+        process.exit(1);
+      }
+
+      const ranked = searchArchive(query, listArchivedArticles());
+      const results = ranked.slice(0, limit).map(({ article, score }) => ({
+        id: article.id,
+        title: article.title,
+        url: article.url,
+        date: article.date,
+        archived_at: article.archived_at,
+        score: Math.round(score * 1000) / 1000,
+        snippet: searchSnippet(article.content, query)
+      }));
+
+      if (jsonOutput) {
+        console.log(JSON.stringify({ query, total: ranked.length, results }, null, 2));
+      } else {
+        console.log(`# Archive Search: "${query}"\n`);
+        if (results.length === 0) console.log('No archived articles match.');
+        results.forEach((r, i) => {
+          console.log(`${i + 1}. **${r.title}** [${r.id}]`);
+          if (r.snippet) console.log(`   ${r.snippet}`);
+          console.log(`   ${r.url}\n`);
+        });
+      }
+      break;
+    }
+
+    default:
+      console.error('Usage: wsj archive <command>');
+      console.error('\nCommands:');
+      console.error('  list [--json]                  Archived articles, newest first');
+      console.error('  show <id|url> [--json]         Print an archived article');
+      console.error('  rm <id|url...> | --all         Remove archived articles');
+      console.error('  search "<query>" [--json]      Ranked full-text search, offline');
+      process.exit(1);
+  }
+}
+
+// ============================================
+// Export Tool
+// ============================================
+
+const EXPORT_FORMATS = ['md', 'html', 'epub', 'pdf'];
+
+// Flags of `wsj export` that take a value
+const EXPORT_VALUE_FLAGS = ['--format', '--out', '--title'];
+
+function escapeHTML(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function bylineOf(article) {
+  return [article.author && `By ${article.author}`, article.date].filter(Boolean).join(' · ');
+}
+
+// Article body as (X)HTML. imageSrc maps a remote image URL to the src to
+// use (EPUB swaps in the embedded copy; null drops the image).
+function blocksToHTML(blocks, imageSrc = url => url) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level}>${escapeHTML(block.text)}</h${block.level}>`;
+      case 'paragraph':
+        return `<p>${paragraphSegments(block).map(seg => (seg.url
+          ? `<a href="${escapeHTML(seg.url)}">${escapeHTML(seg.text)}</a>`
+          : escapeHTML(seg.text))).join('')}</p>`;
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        return `<${tag}>${block.items.map(item => `<li>${escapeHTML(item)}</li>`).join('')}</${tag}>`;
+      }
+      case 'quote':
+        return `<blockquote><p>${escapeHTML(block.text)}</p>${block.cite ? `<footer>— ${escapeHTML(block.cite)}</footer>` : ''}</blockquote>`;
+      case 'image': {
+        const src = imageSrc(block.url);
+        const caption = [block.caption && escapeHTML(block.caption), block.credit && `<span class="credit">${escapeHTML(block.credit)}</span>`]
+          .filter(Boolean).join(' ');
+        if (!src) return caption ? `<p class="caption">${caption}</p>` : '';
+        return `<figure><img src="${escapeHTML(src)}" alt="${escapeHTML(block.alt || block.caption || '')}"/>${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`;
+      }
+      case 'chart': {
+        const label = escapeHTML(`Chart: ${block.title || block.caption || 'interactive graphic'}`);
+        return `<p class="chart">${block.url ? `<a href="${escapeHTML(block.url)}">${label}</a>` : label}</p>`;
+      }
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n');
+}
+
+function articleToHTML(article, imageSrc) {
+  const byline = bylineOf(article);
+  return [
+    `<h1>${escapeHTML(article.title)}</h1>`,
+    article.subtitle ? `<p class="dek">${escapeHTML(article.subtitle)}</p>` : '',
+    byline ? `<p class="byline">${escapeHTML(byline)}</p>` : '',
+    `<p class="source"><a href="${escapeHTML(article.url)}">${escapeHTML(article.url)}</a></p>`,
+    blocksToHTML(article.blocks || [], imageSrc)
+  ].filter(Boolean).join('\n');
+}
+
+const EXPORT_CSS = `body { font-family: Georgia, serif; line-height: 1.5; max-width: 40em; margin: 2em auto; padding: 0 1em; }
+h1 { line-height: 1.2; }
+.dek { font-size: 1.15em; font-style: italic; }
+.byline, .source, .caption, figcaption { color: #555; font-size: 0.9em; }
+.credit { font-style: italic; }
+figure { margin: 1.5em 0; }
+img { max-width: 100%; height: auto; }
+blockquote { border-left: 3px solid #999; margin-left: 0; padding-left: 1em; font-style: italic; }
+article + article { page-break-before: always; border-top: 1px solid #ccc; margin-top: 3em; }`;
+
+function exportHTML(articles, title) {
+  const toc = articles.length > 1
+    ? `<nav><h2>Contents</h2><ol>${articles.map((a, i) => `<li><a href="#article-${i + 1}">${escapeHTML(a.title)}</a></li>`).join('')}</ol></nav>\n`
+    : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>
+${EXPORT_CSS}
+</style>
+</head>
+<body>
+${toc}${articles.map((a, i) => `<article id="article-${i + 1}">\n${articleToHTML(a)}\n</article>`).join('\n')}
+</body>
+</html>
+`;
+}
+
+function exportMarkdown(articles, title) {
+  const parts = articles.map(article => {
+    const byline = bylineOf(article);
+    return [
+      `# ${article.title}`,
+      article.subtitle && `*${article.subtitle}*`,
+      byline,
+      `<${article.url}>`,
+      renderBlocks(article.blocks || [])
+    ].filter(Boolean).join('\n\n');
+  });
+  const header = articles.length > 1
+    ? `# ${title}\n\n${articles.map((a, i) => `${i + 1}. ${a.title}`).join('\n')}\n\n---\n\n`
+    : '';
+  return `${header}${parts.join('\n\n---\n\n')}\n`;
+}
+
+// --- Minimal ZIP writer (for EPUB) ---
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (const byte of buf) crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Build a ZIP archive from [{ name, data, store }]. Entries are deflated
+// unless store is set (EPUB requires an uncompressed mimetype first).
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  for (const { name, data, store } of entries) {
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf-8');
+    const body = store ? raw : deflateRawSync(raw);
+    const nameBuf = Buffer.from(name, 'utf-8');
+    const crc = crc32(raw);
+    const method = store ? 0 : 8;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);            // version needed
+    local.writeUInt16LE(0x0800, 6);        // UTF-8 names
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, nameBuf, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);          // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);     // other fields stay 0
+    centrals.push(central, nameBuf);
+
+    offset += local.length + nameBuf.length + body.length;
+  }
+
+  const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+const IMAGE_TYPES = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp', 'image/svg+xml': 'svg' };
+
+// Download an image for embedding; null if it can't be fetched
+async function fetchImage(url) {
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(DEFAULT_FETCH_TIMEOUT * 1000) });
+    const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+    if (!response.ok || !IMAGE_TYPES[type]) return null;
+    return { data: Buffer.from(await response.arrayBuffer()), type };
+  } catch {
+    return null;
+  }
+}
+
+async function exportEPUB(articles, title) {
+  const id = `urn:uuid:${createHash('sha1').update(articles.map(a => a.url).join('\n')).digest('hex').replace(/^(.{8})(.{4})(.{4})(.{4})(.{12}).*$/, '$1-$2-$3-$4-$5')}`;
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+  // Embed images so the book reads offline; ones that fail are dropped
+  const images = new Map();
+  for (const block of articles.flatMap(a => a.blocks || []).filter(b => b.type === 'image')) {
+    if (images.has(block.url)) continue;
+    const image = await fetchImage(block.url);
+    if (!image) console.error(`Warning: could not embed image ${block.url}`);
+    images.set(block.url, image && { ...image, href: `images/img-${images.size + 1}.${IMAGE_TYPES[image.type]}` });
+  }
+  const imageSrc = url => images.get(url)?.href || null;
+
+  const chapters = articles.map((article, i) => ({
+    href: `article-${i + 1}.xhtml`,
+    title: article.title,
+    xhtml: `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">
+<head><title>${escapeHTML(article.title)}</title><link rel="stylesheet" type="text/css" href="style.css"/></head>
+<body>
+${articleToHTML(article, imageSrc)}
+</body>
+</html>
+`
+  }));
+  const embedded = [...images.values()].filter(Boolean);
+
+  const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${id}</dc:identifier>
+    <dc:title>${escapeHTML(title)}</dc:title>
+    <dc:language>en</dc:language>
+    <dc:creator>${escapeHTML([...new Set(articles.map(a => a.author).filter(Boolean))].join(', ') || 'The Wall Street Journal')}</dc:creator>
+    <dc:publisher>The Wall Street Journal</dc:publisher>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="css" href="style.css" media-type="text/css"/>
+${chapters.map((c, i) => `    <item id="article-${i + 1}" href="${c.href}" media-type="application/xhtml+xml"/>`).join('\n')}
+${embedded.map((img, i) => `    <item id="img-${i + 1}" href="${img.href}" media-type="${img.type}"/>`).join('\n')}
+  </manifest>
+  <spine>
+${chapters.map((c, i) => `    <itemref idref="article-${i + 1}"/>`).join('\n')}
+  </spine>
+</package>
+`;
+
+  const nav = `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="en" lang="en">
+<head><title>${escapeHTML(title)}</title></head>
+<body>
+<nav epub:type="toc" id="toc"><h1>${escapeHTML(title)}</h1><ol>
+${chapters.map(c => `<li><a href="${c.href}">${escapeHTML(c.title)}</a></li>`).join('\n')}
+</ol></nav>
+</body>
+</html>
+`;
+
+  return buildZip([
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    {
+      name: 'META-INF/container.xml',
+      data: `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>
+`
+    },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/style.css', data: EXPORT_CSS },
+    ...chapters.map(c => ({ name: `OEBPS/${c.href}`, data: c.xhtml })),
+    ...embedded.map(img => ({ name: `OEBPS/${img.href}`, data: img.data, store: true }))
+  ]);
+}
+
+// Render the HTML export to PDF in a tab of the CDP-connected Chrome
+async function exportPDF(articles, title, context) {
+  const page = await context.newPage();
+  try {
+    await page.setContent(exportHTML(articles, title), { waitUntil: 'load', timeout: 30000 });
+    return await page.pdf({ format: 'Letter', printBackground: true, margin: { top: '0.75in', bottom: '0.75in', left: '0.75in', right: '0.75in' } });
+  } finally {
+    await page.close();
+  }
+}
+
+async function handleExport(args) {
+  await requireUser();  // Enforce user requirement (auto-registers if new)
+
+  const targets = removeFlags(args, EXPORT_VALUE_FLAGS);
+  const out = getFlagValue(args, '--out');
+  const format = (getFlagValue(args, '--format') || out?.split('.').pop() || '').toLowerCase();
+
+  if (targets.length === 0 || (!out && !args.includes('--format'))) {
+    console.error('Usage: wsj export <url|archive-id...> --format epub|html|md|pdf [--out <file>] [--title <title>]');
+    console.error('\nArchived articles are exported offline; other URLs are read first (requires CDP).');
+    process.exit(1);
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.error(`Error: unknown export format "${format}" (use ${EXPORT_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  const file = out || `wsj-export-${new Date().toISOString().slice(0, 10)}.${format}`;
+  const missing = targets.filter(t => !loadArchivedArticle(t) && !/^https?:\/\//.test(t));
+  if (missing.length > 0) {
+    console.error(`Not in archive: ${missing.join(', ')}`);
+    process.exit(1);
+  }
+
+  let browser, context;
+  try {
+    // Chrome is only needed for articles not yet archived, and for PDF
+    if (format === 'pdf' || targets.some(t => !loadArchivedArticle(t))) ({ browser, context } = await openCDP());
+    const articles = [];
+    for (const target of targets) {
+      const article = loadArchivedArticle(target) || await readArticle(target, { context });
+      if (article.access !== 'full') {
+        console.error(`Warning: only a preview of "${article.title || target}" is available (log into WSJ in Chrome).`);
+      }
+      articles.push(article);
+    }
+
+    const title = getFlagValue(args, '--title') || (articles.length === 1 ? articles[0].title : `WSJ Reading List — ${new Date().toISOString().slice(0, 10)}`);
+    const exporters = {
+      md: () => exportMarkdown(articles, title),
+      html: () => exportHTML(articles, title),
+      epub: () => exportEPUB(articles, title),
+      pdf: () => exportPDF(articles, title, context)
+    };
+    writeFileSync(file, await exporters[format]());
+    console.log(`Exported ${articles.length} article${articles.length === 1 ? '' : 's'} to ${file}`);
+  } catch (e) {
+    // Not process.exit: the finally block still has to close the CDP connection
+    console.error('Error:', e.message);
+    process.exitCode = 1;
+  } finally {
+    if (browser) await browser.close();
+  }
+}
+
+// ============================================
+// Search Tool
+// ============================================
+
+// Flags of `wsj search` that take a value
+const SEARCH_VALUE_FLAGS = ['--page', '--limit', '--from', '--to', '--sort', '--section', '--type', '--source'];
+
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 100;
+
+// Results per page of wsj.com/search, used to find the site page holding a
+// given offset
+const WSJ_SEARCH_PAGE_SIZE = 20;
+
+// --sort, --section and --type values, mapped to wsj.com/search parameters
+const SEARCH_SORTS = { newest: 'date-desc', relevance: 'relevance' };
+const SEARCH_SECTIONS = {
+  world: 'World',
+  us: 'U.S.',
+  politics: 'Politics',
+  economy: 'Economy',
+  business: 'Business',
+  tech: 'Technology',
+  markets: 'Markets',
+  'personal-finance': 'Personal Finance',
+  opinion: 'Opinion',
+  'arts-culture': 'Arts & Culture',
+  lifestyle: 'Lifestyle',
+  'real-estate': 'Real Estate',
+  health: 'Health',
+  sports: 'Sports'
+};
+const SEARCH_TYPES = { article: 'article', video: 'video', audio: 'audio', interactive: 'interactive' };
+
+// Parse --page/--limit/--from/--to/--sort/--section/--type/--source, exiting
+// on invalid values. Runs before connecting to Chrome so mistakes fail fast.
+function parseSearchOptions(args) {
+  const options = { page: 1, limit: DEFAULT_SEARCH_LIMIT, source: 'auto' };
+
+  for (const [flag, key, max] of [['--page', 'page', Infinity], ['--limit', 'limit', MAX_SEARCH_LIMIT]]) {
+    if (!args.includes(flag)) continue;
+    const value = Number(getFlagValue(args, flag));
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+      console.error(`Error: ${flag} must be a positive integer${max < Infinity ? ` (at most ${max})` : ''}`);
+      process.exit(1);
+    }
+    options[key] = value;
+  }
+
+  for (const flag of ['--from', '--to']) {
+    if (!args.includes(flag)) continue;
+    const ts = parseTimeArg(getFlagValue(args, flag));
+    if (ts === null) {
+      console.error(`Error: ${flag} must be a duration (e.g. 24h, 7d, 1w) or an ISO date`);
+      process.exit(1);
+    }
+    options[flag.slice(2)] = ts;
+  }
+  if (options.from !== undefined && options.to !== undefined && options.from > options.to) {
+    console.error('Error: --from must not be after --to');
+    process.exit(1);
+  }
+
+  const choices = [['--sort', 'sort', SEARCH_SORTS], ['--section', 'section', SEARCH_SECTIONS], ['--type', 'type', SEARCH_TYPES]];
+  for (const [flag, key, allowed] of choices) {
+    if (!args.includes(flag)) continue;
+    const value = (getFlagValue(args, flag) || '').toLowerCase();
+    if (!(value in allowed)) {
+      console.error(`Error: ${flag} must be one of: ${Object.keys(allowed).join(', ')}`);
+      process.exit(1);
+    }
+    options[key] = value;
+  }
+
+  if (args.includes('--source')) {
+    const source = (getFlagValue(args, '--source') || '').toLowerCase();
+    if (!SEARCH_SOURCES.includes(source)) {
+      console.error(`Error: --source must be one of: ${SEARCH_SOURCES.join(', ')}`);
+      process.exit(1);
+    }
+    options.source = source;
+  }
+
+  return options;
+}
+
+// Where page `page` of `limit` results falls in wsj.com's search pages of
+// WSJ_SEARCH_PAGE_SIZE: the first site page to load, and the slice
+// [start, end) of the results collected from there on
+function searchSiteWindow(page, limit) {
+  const offset = (page - 1) * limit;
+  const firstSitePage = Math.floor(offset / WSJ_SEARCH_PAGE_SIZE) + 1;
+  const start = offset - (firstSitePage - 1) * WSJ_SEARCH_PAGE_SIZE;
+  return { offset, firstSitePage, start, end: start + limit };
+}
+
+// wsj.com/search URL for one site page of a query
+function searchURL(query, { from, to, sort, section, type }, sitePage) {
+  const day = (ts) => new Date(ts).toISOString().slice(0, 10).replace(/-/g, '/');
+  const params = new URLSearchParams({ query });
+  if (sort) params.set('sort', SEARCH_SORTS[sort]);
+  if (from !== undefined || to !== undefined) {
+    params.set('isToggleOn', 'true');
+    if (from !== undefined) params.set('startDate', day(from));
+    if (to !== undefined) params.set('endDate', day(to));
+  }
+  if (section) params.set('section', SEARCH_SECTIONS[section]);
+  if (type) params.set('contentType', SEARCH_TYPES[type]);
+  if (sitePage > 1) params.set('page', String(sitePage));
+  return `https://www.wsj.com/search?${params}`;
+}
+
+// Runs in the page: result cards of one search page, the reported result
+// count ("1,234 results") and whether there is a next page. Headlines in
+// navigation, headers, footers, asides and promo slots are skipped.
+function scrapeSearchResults() {
+  const items = [];
+  const seen = new Set();
+  // Page-level headers only: result cards often put the headline in <article><header>
+  const chrome = 'nav, body > header, footer, aside, [role="navigation"], [role="banner"], [role="complementary"], [class*="promo" i], [data-testid*="promo" i], [class*="newsletter" i], [class*="advert" i]';
+  const headlines = Array.from(document.querySelectorAll('h2, h3')).filter(h => !h.closest(chrome));
+
+  // The largest ancestor that holds this headline and no other
+  const cardOf = (h) => {
+    let el = h;
+    while (el.parentElement && el.parentElement !== document.body && el.parentElement.querySelectorAll('h2, h3').length === 1) {
+      el = el.parentElement;
+    }
+    return el;
+  };
+  const textOf = (el) => el?.innerText?.trim() || null;
+  // First element matching selector outside the headline with short text
+  const labelIn = (card, h, selector, maxLength) => Array.from(card.querySelectorAll(selector))
+    .find(el => !el.contains(h) && !h.contains(el) && textOf(el) && textOf(el).length <= maxLength);
+
+  for (const h of headlines) {
+    const link = h.closest('a') || h.querySelector('a') || h.parentElement?.querySelector('a');
+    if (!link) continue;
+
+    const href = link.href || '';
+    if (!href.includes('wsj.com')) continue;
+    if (seen.has(href)) continue;
+    seen.add(href);
+
+    const title = h.innerText?.trim() || '';
+    if (title.length < 10 || title.length > 300) continue;
+    if (/^(sign in|subscribe|log in|newsletters?)\b/i.test(title)) continue;
+
+    const card = cardOf(h);
+    let snippet = '';
+    for (const p of card.querySelectorAll('p')) {
+      const text = p.innerText?.trim();
+      if (text && text.length > 20 && text.length < 500 && !/^by\s/i.test(text)) { snippet = text; break; }
+    }
+
+    const time = card.querySelector('time');
+    const timestamp = card.querySelector('[data-timestamp]')?.getAttribute('data-timestamp');
+    const dateText = Array.from(card.querySelectorAll('p, span, div'))
+      .map(el => el.childElementCount === 0 ? textOf(el) : null)
+      .find(text => text && text.length < 60 && /^(\d+\s+(min|minute|hour|hr|day|week)s?\s+ago|[A-Z][a-z]{2,8}\.?\s+\d{1,2},\s+\d{4})/i.test(text));
+
+    const byline = labelIn(card, h, '[class*="byline" i], [class*="author" i], [rel="author"]', 100);
+    const label = labelIn(card, h, '[class*="flashline" i], [class*="kicker" i], [class*="eyebrow" i], [class*="category" i], [class*="section" i]:not(section)', 40);
+    const typeLabel = card.querySelector('[class*="articleType" i], [class*="contentType" i], [class*="badge" i], [aria-label*="video" i], [aria-label*="podcast" i], [aria-label*="audio" i]');
+    const img = Array.from(card.querySelectorAll('img'))
+      .map(el => el.currentSrc || el.src || el.getAttribute('data-src') || '')
+      .find(src => /^https?:/.test(src));
+
+    items.push({
+      title,
+      snippet,
+      url: href,
+      date: time?.getAttribute('datetime') || timestamp || textOf(time) || dateText || null,
+      author: textOf(byline),
+      section: textOf(label),
+      typeLabel: textOf(typeLabel) || typeLabel?.getAttribute('aria-label') || null,
+      image: img || null
+    });
+  }
+
+  const count = document.body.innerText.match(/([\d,]+)\s+(?:search\s+)?results?\b/i);
+  const total = count ? Number(count[1].replace(/,/g, '')) : null;
+  const hasNext = Boolean(document.querySelector('a[rel="next"], [aria-label*="next page" i], [class*="pagination"] a[aria-label*="next" i]'));
+  return { items, total, hasNext };
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Minutes east of UTC in New York at a timestamp (-300 in winter, -240 in summer)
+function easternOffsetMinutes(ts) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone: 'America/New_York', timeZoneName: 'shortOffset' })
+    .formatToParts(ts).find(p => p.type === 'timeZoneName')?.value || '';
+  const m = name.match(/GMT([+-])(\d{1,2})(?::(\d{2}))?/);
+  return m ? (m[1] === '-' ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3] || 0)) : 0;
+}
+
+// Parse a search result's date: an ISO datetime, an epoch timestamp,
+// "3 hours ago" or WSJ's "Feb. 4, 2026 10:32 am ET" (dates without a zone
+// are Eastern). Returns an ISO string or null.
+function parseSearchDate(raw) {
+  const text = String(raw || '').trim();
+  if (!text) return null;
+  if (/^\d{10,13}$/.test(text)) return new Date(Number(text) * (text.length === 10 ? 1000 : 1)).toISOString();
+
+  const rel = text.match(/^(\d+)\s+(min|minute|hour|hr|day|week)s?\s+ago/i);
+  if (rel) {
+    const unit = { min: 'm', minute: 'm', hour: 'h', hr: 'h', day: 'd', week: 'w' }[rel[2].toLowerCase()];
+    return new Date(Date.now() - Number(rel[1]) * DURATION_UNITS[unit]).toISOString();
+  }
+
+  const wsj = text.match(/^([A-Za-z]{3,9})\.?\s+(\d{1,2}),\s+(\d{4})(?:\s+(\d{1,2}):(\d{2})\s*([ap])\.?\s*m\.?)?/i);
+  const month = wsj && MONTHS.indexOf(wsj[1].slice(0, 3).toLowerCase());
+  if (wsj && month !== -1) {
+    const hour = wsj[4] ? (Number(wsj[4]) % 12) + (wsj[6].toLowerCase() === 'p' ? 12 : 0) : 0;
+    const local = Date.UTC(Number(wsj[3]), month, Number(wsj[2]), hour, Number(wsj[5] || 0));
+    // The offset belongs to the real instant, which is 4-5 hours after local
+    // read as UTC; look it up again there so times just after a DST switch
+    // get the new offset
+    const guess = local - easternOffsetMinutes(local) * 60000;
+    return new Date(local - easternOffsetMinutes(guess) * 60000).toISOString();
+  }
+
+  const ts = Date.parse(text);
+  return isNaN(ts) ? null : new Date(ts).toISOString();
+}
+
+// Section label for URL paths like /economy/central-banking/...
+const SECTION_PATHS = {
+  world: 'World',
+  'us-news': 'U.S.',
+  politics: 'Politics',
+  economy: 'Economy',
+  business: 'Business',
+  tech: 'Technology',
+  finance: 'Markets',
+  'personal-finance': 'Personal Finance',
+  opinion: 'Opinion',
+  'arts-culture': 'Arts & Culture',
+  lifestyle: 'Lifestyle',
+  'real-estate': 'Real Estate',
+  health: 'Health',
+  sports: 'Sports',
+  style: 'Style'
+};
+
+// Whether a result URL is a story (article, video, podcast, graphic) rather
+// than a section front, a subscribe/account page or another promo target
+function isStoryURL(url) {
+  try {
+    const u = new URL(url);
+    if (!/^(www\.)?wsj\.com$/.test(u.hostname)) return false;
+    const segments = u.pathname.split('/').filter(Boolean);
+    if (/^(articles|video|podcasts|livecoverage|graphics|story)$/.test(segments[0] || '')) return segments.length >= 2;
+    return segments.length >= 2 && (segments.at(-1).match(/-/g) || []).length >= 2;
+  } catch {
+    return false;
+  }
+}
+
+// Result type (one of SEARCH_TYPES) from the URL, else the card's label
+function searchResultType(url, label) {
+  const path = new URL(url).pathname;
+  const text = (label || '').toLowerCase();
+  if (path.startsWith('/video/') || /\bvideo\b/.test(text)) return 'video';
+  if (path.startsWith('/podcasts/') || /\b(podcast|audio)\b/.test(text)) return 'audio';
+  if (path.startsWith('/graphics/') || /\binteractive\b/.test(text)) return 'interactive';
+  return 'article';
+}
+
+// Shape one scraped card like an RSS article
+function searchResult(item) {
+  const pubDate = parseSearchDate(item.date);
+  const segment = new URL(item.url).pathname.split('/').filter(Boolean)[0];
+  return {
+    title: item.title,
+    url: item.url,
+    snippet: item.snippet || null,
+    section: item.section || SECTION_PATHS[segment] || null,
+    type: searchResultType(item.url, item.typeLabel),
+    author: item.author ? item.author.replace(/^by\s+/i, '') : null,
+    image: item.image || null,
+    pubDate,
+    age: formatAge(pubDate) || null,
+    entities: articleEntities(item)
+  };
+}
+
+// Run a WSJ site search in a new tab of the CDP context. Returns one page of
+// `limit` results (see searchResult), loading as many site
+// pages as the page/limit window spans, with the reported total (null if the
+// page doesn't show one) and whether more results follow.
+async function searchWSJ(context, query, options = {}) {
+  const { page = 1, limit = DEFAULT_SEARCH_LIMIT } = options;
+  const { offset, firstSitePage, start, end } = searchSiteWindow(page, limit);
+
+  const tab = await context.newPage();
+  try {
+    const collected = [];
+    const seen = new Set();
+    let total = null;
+    let more = false;
+
+    for (let sitePage = firstSitePage; collected.length < end; sitePage++) {
+      await tab.goto(searchURL(query, options, sitePage), { waitUntil: 'domcontentloaded', timeout: 15000 });
+      await tab.waitForSelector('h2, h3', { timeout: 5000 }).catch(() => {});
+      const scraped = await tab.evaluate(scrapeSearchResults);
+
+      total ??= scraped.total;
+      const fresh = scraped.items.filter(item => isStoryURL(item.url) && !seen.has(canonicalUrl(item.url)));
+      fresh.forEach(item => { seen.add(canonicalUrl(item.url)); collected.push(item); });
+      more = scraped.hasNext && fresh.length > 0;
+      if (!more) break;
+    }
+
+    const results = collected.slice(start, end).map(searchResult);
+    const hasMore = total !== null ? offset + results.length < total : collected.length > end || more;
+    return { results, total, page, has_more: hasMore };
+  } finally {
+    await tab.close();
+  }
+}
+
+// Backends for `wsj search --source`. auto uses WSJ search when Chrome is
+// reachable and falls back to rss + archive when it isn't.
+const SEARCH_SOURCES = ['auto', 'wsj', 'rss', 'archive'];
+
+// Answer a query without Chrome: rank fresh (or cached) RSS items and
+// archived articles together with the archive's BM25, then apply the search
+// filters and page/limit window. An article in both is taken from the
+// archive, which has the full text.
+async function searchLocal(query, options, sources) {
+  const { page = 1, limit = DEFAULT_SEARCH_LIMIT } = options;
+  const docs = new Map();
+  const errors = [];
+
+  if (sources.includes('archive')) {
+    for (const article of listArchivedArticles()) {
+      docs.set(canonicalUrl(article.url), { source: 'archive', title: article.title, subtitle: article.subtitle, content: article.content, article });
+    }
+  }
+  if (sources.includes('rss')) {
+    const { results, errors: feedErrors } = await fetchSections(VALID_SECTIONS);
+    errors.push(...feedErrors);
+    for (const article of mergeSections(results)) {
+      const key = canonicalUrl(article.url);
+      if (docs.has(key)) continue;
+      docs.set(key, { source: 'rss', title: article.title, subtitle: null, content: decodeEntities(stripTags(article.description || '')), article });
+    }
+  }
+
+  const toResult = ({ article, source, content }, score) => {
+    const pubDate = parseSearchDate(source === 'rss' ? article.pubDate : article.date);
+    const segment = new URL(article.url).pathname.split('/').filter(Boolean)[0];
+    return {
+      title: article.title,
+      url: article.url,
+      snippet: source === 'rss' ? content || null : searchSnippet(content, query),
+      section: source === 'rss' ? SEARCH_SECTIONS[article.sections[0]] || article.sections[0] : SECTION_PATHS[segment] || null,
+      type: searchResultType(article.url, null),
+      author: article.author || null,
+      image: source === 'rss' ? article.image : article.blocks?.find(b => b.type === 'image')?.url || null,
+      pubDate: pubDate || null,
+      age: formatAge(pubDate) || null,
+      entities: article.entities || articleEntities(article),
+      source,
+      score: Math.round(score * 1000) / 1000
+    };
+  };
+
+  const inRange = (result) => {
+    if (options.from === undefined && options.to === undefined) return true;
+    const ts = result.pubDate ? new Date(result.pubDate).getTime() : NaN;
+    if (isNaN(ts)) return false;
+    return (options.from === undefined || ts >= options.from) && (options.to === undefined || ts <= options.to);
+  };
+
+  const matches = searchArchive(query, [...docs.values()])
+    .map(({ article: doc, score }) => toResult(doc, score))
+    .filter(r => inRange(r)
+      && (!options.section || r.section === SEARCH_SECTIONS[options.section] || r.section === options.section)
+      && (!options.type || r.type === options.type));
+  if (options.sort === 'newest') {
+    // Archived pages whose date could not be parsed have no pubDate; they go
+    // after every dated result, best match first, then by URL
+    const time = r => (r.pubDate ? Date.parse(r.pubDate) : -Infinity);
+    matches.sort((a, b) => {
+      if (time(a) !== time(b)) return time(b) > time(a) ? 1 : -1;
+      return b.score - a.score || a.url.localeCompare(b.url);
+    });
+  }
+
+  const offset = (page - 1) * limit;
+  return {
+    results: matches.slice(offset, offset + limit),
+    total: matches.length,
+    page,
+    has_more: offset + limit < matches.length,
+    errors
+  };
+}
+
+// Run a query on the backend chosen by options.source. Returns the searchWSJ
+// shape plus the backends used, whether auto fell back and feed errors.
+async function runSearch(query, options) {
+  const source = options.source || 'auto';
+  const useWSJ = source === 'wsj' || (source === 'auto' && (await checkCDP()).connected);
+
+  if (!useWSJ) {
+    const sources = source === 'auto' ? ['rss', 'archive'] : [source];
+    return { sources, fallback: source === 'auto', ...await searchLocal(query, options, sources) };
+  }
+
+  const { browser, context } = await connectCDP();
+  try {
+    const found = await searchWSJ(context, query, options);
+    return { sources: ['wsj'], fallback: false, ...found, results: found.results.map(r => ({ ...r, source: 'wsj' })), errors: [] };
+  } finally {
+    await browser.close();
+  }
+}
+
+function printSearchResults(results, first = 0) {
+  results.forEach((r, i) => {
+    console.log(`${first + i + 1}. **${r.title}**${r.age ? ` (${r.age})` : ''}`);
+    if (r.snippet) console.log(`   ${r.snippet.slice(0, 150)}${r.snippet.length > 150 ? '...' : ''}`);
+    console.log(`   ${r.url}`);
+    const meta = [r.section, r.type !== 'article' && r.type, r.author && `By ${r.author}`, r.source !== 'wsj' && r.source].filter(Boolean);
+    if (meta.length > 0) console.log(`   [${meta.join(' · ')}]`);
+    console.log();
+  });
+}
+
+async function handleSearch(args) {
+  const { username } = await requireUser();  // Enforce user requirement (auto-registers if new)
+
+  if (SAVED_SEARCH_COMMANDS.includes(args[0])) {
+    await handleSavedSearch(username, args[0], args.slice(1));
+    return;
+  }
+
+  const jsonOutput = hasJsonFlag(args);
+  const cleanArgs = removeFlags(args, SEARCH_VALUE_FLAGS);
+  const query = cleanArgs.join(' ');
+
+  if (!query) {
+    console.error('Usage: wsj search "<query>" [--json] [--page <n>] [--limit <n>] [--from <date>] [--to <date>]');
+    console.error('                  [--sort newest|relevance] [--section <name>] [--type <type>]');
+    console.error('       wsj search save|run|list|rm ...   Saved searches');
     process.exit(1);
   }
 
+  const options = parseSearchOptions(args);
+
   try {
-    const result = await fetchRSSSection(section);
+    const { sources, fallback, results, total, page, has_more, errors } = await runSearch(query, options);
 
     if (jsonOutput) {
-      console.log(JSON.stringify(result, null, 2));
+      console.log(JSON.stringify({ query, sources, fallback, total, page, has_more, results, errors }, null, 2));
     } else {
-      console.log(`# WSJ Headlines (${section})\n`);
-      result.articles.slice(0, 15).forEach((item, i) => {
-        console.log(`${i + 1}. **${item.title}**${item.age ? ` (${item.age})` : ''}`);
-        if (item.description) {
-          console.log(`   ${item.description.slice(0, 150)}${item.description.length > 150 ? '...' : ''}`);
-        }
-        console.log(`   ${item.url}`);
-        if (item.category) console.log(`   [${item.category}]`);
-        console.log();
-      });
-      console.log(`Available sections: ${VALID_SECTIONS.join(', ')}, all`);
+      if (fallback) console.error('Chrome is not running with CDP: searching RSS feeds and the local archive instead (run "wsj setup" for WSJ search).');
+      errors.forEach(e => console.error(`Warning: skipped "${e.section}": ${e.error}`));
+      console.log(`# WSJ Search: "${query}"${page > 1 ? ` (page ${page})` : ''}${sources.includes('wsj') ? '' : ` (${sources.join(' + ')})`}\n`);
+      if (results.length === 0) {
+        console.log('No results found.');
+      } else {
+        printSearchResults(results, (page - 1) * options.limit);
+      }
+      if (total !== null) console.log(`${total.toLocaleString('en-US')} result${total === 1 ? '' : 's'}`);
+      if (has_more) console.log(`More results: add --page ${page + 1}`);
     }
   } catch (e) {
-    console.error('Error fetching headlines:', e.message);
+    console.error('Error:', e.message);
     process.exit(1);
   }
 }
 
 // ============================================
-// Read Tool (formerly article)
+// Saved Searches
 // ============================================
 
-async function extractArticle(url, existingContext) {
-  let browser, context, shouldClose = false;
-  if (existingContext) {
-    context = existingContext;
-  } else {
-    const conn = await connectCDP();
-    browser = conn.browser;
-    context = conn.context;
-    shouldClose = true;
-  }
+// Subcommands of `wsj search`; any other first word starts a query
+const SAVED_SEARCH_COMMANDS = ['save', 'run', 'list', 'rm'];
 
-  const page = await context.newPage();
+// Filters a saved search keeps. Values are stored as typed, so a relative
+// --from 7d means "the week before each run".
+const SAVED_SEARCH_FILTERS = ['--limit', '--from', '--to', '--sort', '--section', '--type', '--source'];
 
-  try {
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 });
-    await page.waitForSelector('h1', { timeout: 5000 }).catch(() => {});
+// Saved filters as `wsj search` arguments
+function savedSearchArgs(filters) {
+  return Object.entries(filters).flatMap(([key, value]) => [`--${key}`, String(value)]);
+}
 
-    const article = await page.evaluate(() => {
-      const title = document.querySelector('h1')?.innerText || '';
-      const subtitle = document.querySelector('[class*="sub-head"], [class*="summary"], [class*="dek"]')?.innerText || '';
-      const author = document.querySelector('[class*="author"], [class*="byline"]')?.innerText || '';
-      const date = document.querySelector('time, [class*="timestamp"]')?.innerText || '';
+async function handleSavedSearch(username, subcommand, args) {
+  const jsonOutput = hasJsonFlag(args);
+  const positional = removeFlags(args, SEARCH_VALUE_FLAGS);
+  const searches = getSavedSearches(username);
+
+  switch (subcommand) {
+    case 'save': {
+      const [name, ...words] = positional;
+      const query = words.join(' ');
+      if (!name || !query) {
+        console.error('Usage: wsj search save <name> "<query>" [--limit <n>] [--from <date>] [--to <date>]');
+        console.error('                       [--sort newest|relevance] [--section <name>] [--type <type>]');
+        process.exit(1);
+      }
+      if (!/^[a-z0-9][a-z0-9_-]*$/.test(name)) {
+        console.error('Error: Search name must be lowercase letters, digits, "-" or "_"');
+        process.exit(1);
+      }
+      if (args.includes('--page')) {
+        console.error('Error: --page does not apply to saved searches (each run starts at the first page)');
+        process.exit(1);
+      }
+      parseSearchOptions(args);  // Validate now rather than on every run
+
+      const filters = {};
+      for (const flag of SAVED_SEARCH_FILTERS) {
+        if (!args.includes(flag)) continue;
+        const value = getFlagValue(args, flag);
+        filters[flag.slice(2)] = flag === '--limit' ? Number(value) : value;
+      }
+      saveSearch(username, name, { query, filters, created_at: new Date().toISOString() });
+      console.log(`${searches[name] ? 'Updated' : 'Saved'} search "${name}": ${query}${Object.keys(filters).length ? ` ${savedSearchArgs(filters).join(' ')}` : ''}`);
+      break;
+    }
 
-      const selectors = [
-        'article p',
-        '[class*="article-content"] p',
-        '[class*="body"] p',
-        '[data-testid*="article"] p',
-        'section p'
-      ];
+    case 'run': {
+      const name = positional[0];
+      if (!name) {
+        console.error('Usage: wsj search run <name> [--json] [--source auto|wsj|rss|archive]');
+        process.exit(1);
+      }
+      const search = searches[name];
+      if (!search) {
+        console.error(`No saved search named "${name}". See "wsj search list".`);
+        process.exit(1);
+      }
 
-      let paragraphs = [];
-      for (const sel of selectors) {
-        const ps = Array.from(document.querySelectorAll(sel))
-          .map(p => p.innerText?.trim())
-          .filter(t => t && t.length > 30 && !t.includes('Subscribe') && !t.includes('Sign In'));
-        if (ps.length > paragraphs.length) paragraphs = ps;
+      // --source on the command line overrides the saved one
+      const override = args.includes('--source') ? ['--source', getFlagValue(args, '--source')] : [];
+      const options = parseSearchOptions([...override, ...savedSearchArgs(search.filters || {})]);
+      const { seen, history } = getSearchRuns(username, name);
+      try {
+        const { sources, fallback, results, total, errors } = await runSearch(search.query, options);
+        const fresh = results.filter(r => !seen[canonicalUrl(r.url)]);
+        const run = { ran_at: new Date().toISOString(), sources, total, results: results.length, new: fresh.length };
+        recordSearchRun(username, name, results.map(r => canonicalUrl(r.url)), run);
+
+        const lastRun = history.at(-1)?.ran_at || null;
+        if (jsonOutput) {
+          console.log(JSON.stringify({
+            name,
+            query: search.query,
+            filters: search.filters || {},
+            ran_at: run.ran_at,
+            last_run: lastRun,
+            sources,
+            fallback,
+            total,
+            new_count: fresh.length,
+            results: fresh,
+            errors
+          }, null, 2));
+        } else {
+          if (fallback) console.error('Chrome is not running with CDP: searching RSS feeds and the local archive instead.');
+          errors.forEach(e => console.error(`Warning: skipped "${e.section}": ${e.error}`));
+          console.log(`# WSJ Saved Search: ${name} ("${search.query}")\n`);
+          if (lastRun) console.log(`New since ${lastRun}\n`);
+          if (fresh.length === 0) console.log('No new results.');
+          printSearchResults(fresh);
+        }
+      } catch (e) {
+        console.error('Error:', e.message);
+        process.exit(1);
       }
+      break;
+    }
 
-      const content = paragraphs.join('\n\n');
-      const wordCount = content.split(/\s+/).filter(w => w.length > 0).length;
+    case 'list': {
+      const list = Object.entries(searches).map(([name, search]) => {
+        const { seen, history } = getSearchRuns(username, name);
+        return {
+          name,
+          query: search.query,
+          filters: search.filters || {},
+          created_at: search.created_at,
+          runs: history.length,
+          last_run: history.at(-1)?.ran_at || null,
+          seen: Object.keys(seen).length,
+          history
+        };
+      });
 
-      return { title, subtitle, author, date, content, word_count: wordCount };
-    });
+      if (jsonOutput) {
+        console.log(JSON.stringify({ searches: list }, null, 2));
+      } else if (list.length === 0) {
+        console.log('No saved searches. Add one with: wsj search save <name> "<query>"');
+      } else {
+        console.log('# Saved Searches\n');
+        for (const s of list) {
+          const flags = savedSearchArgs(s.filters).join(' ');
+          console.log(`- **${s.name}**: "${s.query}"${flags ? ` ${flags}` : ''}`);
+          console.log(`  ${s.runs} run${s.runs === 1 ? '' : 's'}${s.last_run ? `, last ${s.last_run} (${s.history.at(-1).new} new)` : ''}`);
+        }
+      }
+      break;
+    }
 
-    return article;
-  } finally {
-    await page.close();
-    if (shouldClose) await browser.close();
+    case 'rm': {
+      if (positional.length === 0) {
+        console.error('Usage: wsj search rm <name...>');
+        process.exit(1);
+      }
+      const missing = positional.filter(name => !removeSavedSearch(username, name));
+      positional.filter(name => !missing.includes(name)).forEach(name => console.log(`Removed saved search "${name}".`));
+      if (missing.length > 0) {
+        console.error(`No saved search named: ${missing.join(', ')}`);
+        process.exit(1);
+      }
+      break;
+    }
   }
 }
 
-async function handleRead(args) {
-  await requireUser();  // Enforce user requirement (auto-registers if new)
+// ============================================
+// Alerts Tool
+// ============================================
+
+// Look-back window for alerts when --since is not given
+const DEFAULT_ALERT_WINDOW = '24h';
+
+// Flags of `wsj alerts` that take a value
+const ALERTS_VALUE_FLAGS = [...FETCH_VALUE_FLAGS, ...FILTER_VALUE_FLAGS];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile a topic into a matcher. Tickers (all caps like NVDA or BRK.B, or
+// anything written $nvda) match case-sensitively, so "IT" doesn't fire on
+// "it" and "ARE" not on "are"; $NVDA, (NVDA) and NASDAQ: NVDA all match.
+// Other topics match whole words, case-insensitively, with plural/possessive
+// endings ("tariff" matches "tariffs", not "tariffed").
+function compileTopic(topic) {
+  const text = String(topic).trim();
+  const dollar = text.startsWith('$');
+  const bare = dollar ? text.slice(1) : text;
+  const isTicker = dollar ? /^[a-z]{1,5}(\.[a-z])?$/i.test(bare) : /^[A-Z]{1,5}(\.[A-Z])?$/.test(bare);
+
+  if (isTicker) {
+    const ticker = bare.toUpperCase();
+    return {
+      topic: ticker,
+      key: ticker,
+      ticker: true,
+      regex: new RegExp(`(?<![\\p{L}\\p{N}])\\$?${escapeRegExp(ticker)}(?![\\p{L}\\p{N}]|\\.[A-Z])`, 'u')
+    };
+  }
+
+  const words = text.split(/\s+/).map(escapeRegExp).join('\\s+');
+  const suffix = /\p{L}$/u.test(text) ? "(?:s|es|['’]s)?" : '';
+  return {
+    topic: text,
+    key: text.toLowerCase(),
+    ticker: false,
+    regex: new RegExp(`(?<![\\p{L}\\p{N}])${words}${suffix}(?![\\p{L}\\p{N}])`, 'iu')
+  };
+}
+
+// Headline and plain-text description an alert is matched against
+function alertText(article) {
+  return `${article.title}\n${decodeEntities(stripTags(article.description || article.snippet || ''))}`;
+}
+
+// The user's `topics` preference as a list (prefs are free-form JSON, so a
+// comma-separated string is accepted too)
+function preferredTopics(preferences) {
+  const pref = preferences?.topics;
+  if (Array.isArray(pref)) return pref.filter(t => typeof t === 'string' && t.trim());
+  if (typeof pref === 'string') return pref.split(',').map(t => t.trim()).filter(Boolean);
+  return [];
+}
+
+// Topics from the command line, else the user's `topics` preference
+function resolveTopics(args, preferences) {
+  const fromArgs = removeFlags(args, ALERTS_VALUE_FLAGS);
+  return fromArgs.length > 0 ? fromArgs : preferredTopics(preferences);
+}
+
+async function handleAlerts(args) {
+  const { username, preferences } = await requireUser();  // Enforce user requirement (auto-registers if new)
 
   const jsonOutput = hasJsonFlag(args);
-  const cleanArgs = removeFlags(args);
-  const url = cleanArgs[0];
+  const topics = resolveTopics(args, preferences).map(compileTopic);
+  if (topics.length === 0) {
+    console.error('Error: No topics to watch. Pass topics or save them in your preferences:');
+    console.error('  wsj prefs update topics \'["NVDA", "Federal Reserve", "tariffs"]\'');
+    process.exit(1);
+  }
 
-  if (!url) {
-    console.error('Usage: wsj read <url> [--json]');
+  if (args.includes('--limit')) {
+    console.error('Error: --limit does not apply to alerts (every new match fires)');
     process.exit(1);
   }
+  const filters = parseArticleFilters(args.includes('--since') ? args : [...args, '--since', DEFAULT_ALERT_WINDOW]);
+  const fetchOptions = parseFetchOptions(args);
 
-  try {
-    const article = await extractArticle(url);
+  if (args.includes('--reset')) resetFiredAlerts(username);
+  const fired = getFiredAlerts(username);
 
-    if (jsonOutput) {
-      console.log(JSON.stringify({
-        url,
-        title: article.title,
-        subtitle: article.subtitle || null,
-        author: article.author || null,
-        date: article.date || null,
-        content: article.content,
-        word_count: article.word_count
-      }, null, 2));
-    } else {
-      console.log(`# ${article.title}\n`);
-      console.log('---\n');
-      if (article.subtitle) console.log(`*${article.subtitle}*\n`);
-      if (article.author) console.log(`By ${article.author}`);
-      if (article.date) console.log(`${article.date}\n`);
-      if (article.content) {
-        console.log(article.content);
-      } else {
-        console.log('(Could not extract content. Make sure you are logged into WSJ in Chrome.)');
+  // Candidate articles: fresh items from every feed, plus (with --search) the
+  // top WSJ search results for each topic
+  const { results, errors } = await fetchSections(VALID_SECTIONS, fetchOptions);
+  const candidates = mergeSections(results.map(r => ({ ...r, articles: applyArticleFilters(r.articles, filters) })))
+    .map(a => ({ ...a, source: 'rss' }));
+
+  if (args.includes('--search')) {
+    // Without Chrome the search is skipped and the RSS alerts still fire
+    let browser, context;
+    try {
+      ({ browser, context } = await openCDP());
+    } catch (e) {
+      errors.push({ section: 'search', error: `${e.message} Run "wsj setup" first.` });
+    }
+    if (browser) {
+      try {
+        const known = new Set(candidates.map(a => canonicalUrl(a.url)));
+        for (const t of topics) {
+          try {
+            for (const r of (await searchWSJ(context, t.topic)).results) {
+              if (known.has(canonicalUrl(r.url))) continue;
+              known.add(canonicalUrl(r.url));
+              candidates.push({ title: r.title, url: r.url, description: r.snippet, pubDate: r.pubDate, age: r.age, sections: [], source: 'search' });
+            }
+          } catch (e) {
+            errors.push({ section: 'search', error: `"${t.topic}": ${e.message}` });
+          }
+        }
+      } finally {
+        await browser.close();
       }
     }
-  } catch (e) {
-    console.error('Error:', e.message);
-    process.exit(1);
   }
+
+  // An alert is a (topic, article) pair; each fires once per user
+  const alerts = [];
+  const newlyFired = {};
+  for (const article of candidates) {
+    const text = alertText(article);
+    const key = articleKey(article);
+    const matched = topics.filter(t => t.regex.test(text) && !fired[t.key]?.[key]);
+    if (matched.length === 0) continue;
+    alerts.push({ topics: matched.map(t => t.topic), ...article });
+    for (const t of matched) (newlyFired[t.key] = newlyFired[t.key] || []).push(key);
+  }
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({
+      checked_at: new Date().toISOString(),
+      topics: topics.map(t => t.topic),
+      alerts,
+      errors
+    }, null, 2));
+  } else {
+    errors.forEach(e => console.error(`Warning: skipped "${e.section}": ${e.error}`));
+    console.log(`# WSJ Alerts (${topics.map(t => t.topic).join(', ')})\n`);
+    if (alerts.length === 0) console.log('No new alerts.');
+    alerts.forEach((item, i) => {
+      console.log(`${i + 1}. **${item.title}**${item.age ? ` (${item.age})` : ''}`);
+      console.log(`   ${item.url}`);
+      console.log(`   Topics: ${item.topics.join(', ')}${item.sections.length ? ` [${item.sections.join(', ')}]` : ''}`);
+      console.log();
+    });
+  }
+
+  if (alerts.length > 0) recordFiredAlerts(username, newlyFired);
 }
 
 // ============================================
-// Search Tool
+// Digest Tool
 // ============================================
 
-async function handleSearch(args) {
-  await requireUser();  // Enforce user requirement (auto-registers if new)
+// Weight of each score component. Components are normalized to 0..1 (topics
+// count per matching topic), so a single topic hit outranks recency alone.
+const DIGEST_WEIGHTS = { topics: 3, recency: 2, section: 1, coverage: 0.5 };
+const DIGEST_HALF_LIFE_HOURS = 6;
+const DEFAULT_DIGEST_LIMIT = 5;
 
-  const jsonOutput = hasJsonFlag(args);
-  const cleanArgs = removeFlags(args);
-  const query = cleanArgs.join(' ');
+// Flags of `wsj digest` that take a value
+const DIGEST_VALUE_FLAGS = [...FETCH_VALUE_FLAGS, ...FILTER_VALUE_FLAGS];
 
-  if (!query) {
-    console.error('Usage: wsj search "<query>" [--json]');
+// Sections to digest: explicit args, else valid `sections_of_interest`, else all
+function resolveDigestSections(args, preferences) {
+  const fromArgs = removeFlags(args, DIGEST_VALUE_FLAGS);
+  if (fromArgs.length > 0) return { sections: fromArgs, unknown: fromArgs.filter(sec => !RSS_FEEDS[sec]) };
+  const pref = Array.isArray(preferences?.sections_of_interest) ? preferences.sections_of_interest : [];
+  const sections = pref.filter(sec => RSS_FEEDS[sec]);
+  if (sections.length === 0) return { sections: VALID_SECTIONS, unknown: [] };
+  return { sections, unknown: [] };
+}
+
+// Score one merged article. Section weight falls from 1 (first section of
+// interest) to 0.5 (last); without a preference every section weighs 1.
+function scoreArticle(article, { topics, interest, now }) {
+  const title = article.title;
+  const body = alertText(article);
+  const matched = topics.filter(t => t.regex.test(body));
+  const topicScore = matched.reduce((sum, t) => sum + (t.regex.test(title) ? 1 : 0.5), 0);
+
+  const ts = pubTime(article);
+  const ageHours = ts ? Math.max(0, now - ts) / (60 * 60 * 1000) : Infinity;
+  const recency = ts ? Math.pow(0.5, ageHours / DIGEST_HALF_LIFE_HOURS) : 0;
+
+  const sectionWeight = (sec) => {
+    const i = interest.indexOf(sec);
+    if (interest.length === 0) return 1;
+    if (i === -1) return 0.5;
+    return 1 - 0.5 * (interest.length > 1 ? i / (interest.length - 1) : 0);
+  };
+  const section = Math.max(...article.sections.map(sectionWeight));
+  const coverage = Math.min(article.sections.length - 1, 2) / 2;
+
+  const components = { topics: topicScore, recency, section, coverage };
+  const score = Object.entries(components).reduce((sum, [k, v]) => sum + DIGEST_WEIGHTS[k] * v, 0);
+  const round = (n) => Math.round(n * 1000) / 1000;
+  return {
+    score: round(score),
+    score_breakdown: {
+      topics: round(DIGEST_WEIGHTS.topics * topicScore),
+      recency: round(DIGEST_WEIGHTS.recency * recency),
+      section: round(DIGEST_WEIGHTS.section * section),
+      coverage: round(DIGEST_WEIGHTS.coverage * coverage),
+      matched_topics: matched.map(t => t.topic)
+    }
+  };
+}
+
+async function handleDigest(args) {
+  const { preferences } = await requireUser();  // Enforce user requirement (auto-registers if new)
+
+  const jsonOutput = hasJsonFlag(args);
+  const { sections, unknown } = resolveDigestSections(args, preferences);
+  if (unknown.length > 0) {
+    console.error(`Unknown section: ${unknown.join(', ')}`);
+    console.error(`Available sections: ${VALID_SECTIONS.join(', ')}`);
     process.exit(1);
   }
 
-  const { browser, context } = await connectCDP();
-  const page = await context.newPage();
+  const filters = parseArticleFilters(args);
+  const limit = filters.limit ?? DEFAULT_DIGEST_LIMIT;
+  const fetchOptions = parseFetchOptions(args);
+  const topics = preferredTopics(preferences).map(compileTopic);
+  const interest = Array.isArray(preferences?.sections_of_interest) ? preferences.sections_of_interest : [];
 
-  try {
-    const searchUrl = `https://www.wsj.com/search?query=${encodeURIComponent(query)}`;
-    await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 15000 });
-    await page.waitForSelector('h2, h3', { timeout: 5000 }).catch(() => {});
-
-    const results = await page.evaluate(() => {
-      const items = [];
-      const seen = new Set();
-      const headlines = Array.from(document.querySelectorAll('h2, h3'));
-
-      for (const h of headlines) {
-        const link = h.closest('a') || h.querySelector('a') || h.parentElement?.querySelector('a');
-        if (!link) continue;
-
-        const href = link.href || '';
-        if (!href.includes('wsj.com')) continue;
-        if (seen.has(href)) continue;
-        seen.add(href);
-
-        const title = h.innerText?.trim() || '';
-        if (title.length < 10 || title.length > 300) continue;
-        if (title.includes('Sign In') || title.includes('Subscribe')) continue;
-
-        let snippet = '';
-        const container = h.closest('article, section, div');
-        if (container) {
-          const p = container.querySelector('p');
-          if (p) {
-            const text = p.innerText?.trim();
-            if (text && text.length > 20 && text.length < 500) snippet = text;
-          }
-        }
+  const { results, errors } = await fetchSections(sections, fetchOptions);
+  if (results.length === 0) {
+    console.error('Error fetching RSS feeds:');
+    errors.forEach(e => console.error(`  ${e.section}: ${e.error}`));
+    process.exit(1);
+  }
 
-        items.push({ title, snippet, url: href });
-        if (items.length >= 10) break;
-      }
-      return items;
-    });
+  // Deterministic order: score, then newest, then URL
+  const now = Date.now();
+  const ranked = mergeSections(results.map(r => ({ ...r, articles: applyArticleFilters(r.articles, filters) })))
+    .map(article => ({ ...scoreArticle(article, { topics, interest, now }), ...article }))
+    .sort((a, b) => b.score - a.score || pubTime(b) - pubTime(a) || a.url.localeCompare(b.url))
+    .slice(0, limit)
+    .map((article, i) => ({ rank: i + 1, ...article }));
 
-    if (jsonOutput) {
-      console.log(JSON.stringify({
-        query,
-        results: results.map(r => ({
-          title: r.title,
-          url: r.url,
-          snippet: r.snippet || null
-        }))
-      }, null, 2));
-    } else {
-      console.log(`# WSJ Search: "${query}"\n`);
-      if (results.length === 0) {
-        console.log('No results found.');
-      } else {
-        results.forEach((r, i) => {
-          console.log(`${i + 1}. **${r.title}**`);
-          if (r.snippet) console.log(`   ${r.snippet.slice(0, 150)}${r.snippet.length > 150 ? '...' : ''}`);
-          console.log(`   ${r.url}\n`);
-        });
-      }
+  if (jsonOutput) {
+    console.log(JSON.stringify({
+      generated_at: new Date(now).toISOString(),
+      sections,
+      topics: topics.map(t => t.topic),
+      weights: DIGEST_WEIGHTS,
+      articles: ranked,
+      errors
+    }, null, 2));
+    return;
+  }
+
+  errors.forEach(e => console.error(`Warning: skipped "${e.section}": ${e.error}`));
+  console.log(`# WSJ Digest (${sections.join(', ')})\n`);
+  if (ranked.length === 0) console.log('No articles.');
+  for (const item of ranked) {
+    console.log(`${item.rank}. **${item.title}**${item.age ? ` (${item.age})` : ''}`);
+    if (item.description) {
+      const text = decodeEntities(stripTags(item.description));
+      console.log(`   ${text.slice(0, 150)}${text.length > 150 ? '...' : ''}`);
     }
-  } catch (e) {
-    console.error('Error:', e.message);
-    process.exit(1);
-  } finally {
-    await page.close();
-    await browser.close();
+    console.log(`   ${item.url}`);
+    const matched = item.score_breakdown.matched_topics;
+    console.log(`   [${item.sections.join(', ')}] score ${item.score}${matched.length ? ` · ${matched.join(', ')}` : ''}`);
+    console.log();
   }
 }
 
@@ -686,14 +4106,112 @@ async function handleUser(args) {
 // Status Tool
 // ============================================
 
-async function showStatus() {
+// Dow Jones sign-in cookies, set on wsj.com only while the profile is logged in.
+// WSJ does not document them: the names are the ones the Dow Jones customer
+// sign-in (sso.accounts.dowjones.com, hence "djcs") leaves in a logged-in
+// browser's wsj.com cookie jar, and are gone again after signing out. If WSJ
+// renames them, this list is the one place to update.
+const WSJ_LOGIN_COOKIES = ['djcs_session', 'djcs_auto'];
+
+// Analytics data-layer fields on wsj.com pages that can name the access level
+const WSJ_TIER_FIELDS = ['user_type', 'subscription_type', 'subscriber_type'];
+
+// Login state from the browser's wsj.com cookies and the data layers of open
+// wsj.com tabs: { logged_in, cookies, expires, subscription }. Expired login
+// cookies don't count. expires is the latest login-cookie expiry, or null
+// when they all end with the session (CDP reports those as expires -1).
+function wsjLoginState(cookies, dataLayers = [], now = Date.now()) {
+  const live = cookies.filter(c => WSJ_LOGIN_COOKIES.includes(c.name) && (c.expires === -1 || c.expires * 1000 > now));
+  const persistent = live.filter(c => c.expires !== -1).map(c => c.expires);
+  const expires = persistent.length ? new Date(Math.max(...persistent) * 1000).toISOString() : null;
+
+  let subscription = null;
+  for (const data of dataLayers) {
+    const field = WSJ_TIER_FIELDS.find(f => typeof data?.[f] === 'string' && data[f]);
+    if (field) {
+      subscription = data[field];
+      break;
+    }
+  }
+
+  return { logged_in: live.length > 0, cookies: live.map(c => c.name), expires, subscription };
+}
+
+// Sign-in state of the CDP browser, see wsjLoginState. Cookies are read
+// without opening a page; the subscription tier comes from wsj.com tabs that
+// are already open.
+async function checkWSJLogin() {
+  const browser = await chromium.connectOverCDP(getCDPSettings().url, { timeout: 10000 });
+  try {
+    const context = browser.contexts()[0];
+    if (!context) return wsjLoginState([]);
+
+    const dataLayers = [];
+    for (const page of context.pages()) {
+      if (!/^https:\/\/([\w-]+\.)*wsj\.com\//.test(page.url())) continue;
+      dataLayers.push(await page.evaluate((fields) => {
+        const data = window.utag_data || {};
+        return Object.fromEntries(fields.map(f => [f, data[f] ?? null]));
+      }, WSJ_TIER_FIELDS).catch(() => null));
+    }
+
+    return wsjLoginState(await context.cookies('https://www.wsj.com'), dataLayers);
+  } finally {
+    await browser.close();
+  }
+}
+
+async function showStatus(args) {
+  const { url, port, profileDir } = getCDPSettings();
   const status = await checkCDP();
+
+  let login = null;
+  if (status.connected) {
+    try {
+      login = await checkWSJLogin();
+    } catch (e) {
+      login = { logged_in: null, error: e.message.split('\n')[0] };
+    }
+  }
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({
+      connected: status.connected,
+      endpoint: url,
+      port,
+      browser: status.browser || null,
+      profile: profileDir,
+      logged_in: login ? login.logged_in : null,
+      subscription: login?.subscription || null,
+      cookie_expires: login?.expires || null,
+      login_cookies: login?.cookies || [],
+      ...(login?.error ? { error: login.error } : {})
+    }, null, 2));
+    return;
+  }
+
   if (status.connected) {
     console.log(`Connected: true`);
-    console.log(`Port: ${CDP_PORT}`);
+    console.log(`Port: ${port}`);
+    console.log(`Endpoint: ${url}`);
     console.log(`Browser: ${status.browser}`);
+    console.log(`Profile: ${profileDir}`);
+    if (login.error) {
+      console.log(`Logged in: unknown (${login.error})`);
+    } else if (login.logged_in) {
+      const expires = login.expires
+        ? new Date(login.expires).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+        : 'when Chrome quits';
+      console.log(`Logged in: yes`);
+      if (login.subscription) console.log(`Subscription: ${login.subscription}`);
+      console.log(`Login expires: ${expires}`);
+    } else {
+      console.log(`Logged in: no`);
+      console.log('\nLog into WSJ in the Chrome window started by "wsj setup"; until then "wsj read" only gets previews.');
+    }
   } else {
     console.log(`Connected: false`);
+    console.log(`Endpoint: ${url}`);
     console.log('\nRun "wsj setup" to start Chrome with CDP enabled.');
   }
 }
@@ -702,64 +4220,169 @@ async function showStatus() {
 // Main CLI
 // ============================================
 
-const [,, command, ...args] = process.argv;
+async function main() {
+  // --profile-dir applies to any command (read by getCDPSettings), so drop it here
+  const [,, command, ...args] = process.argv
+    .filter((a, i, argv) => a !== '--profile-dir' && argv[i - 1] !== '--profile-dir');
+
+  switch (command) {
+    case 'setup':
+      await handleSetup(args);
+      break;
+
+    case 'status':
+      await showStatus(args);
+      break;
+
+    case 'rss':
+      await handleRSS(args);
+      break;
+
+    case 'read':
+      await handleRead(args);
+      break;
+
+    case 'search':
+      await handleSearch(args);
+      break;
+
+    case 'archive':
+      await handleArchive(args);
+      break;
+
+    case 'export':
+      await handleExport(args);
+      break;
+
+    case 'watch':
+      await handleWatch(args);
+      break;
 
-switch (command) {
-  case 'setup':
-    startChrome();
-    break;
+    case 'alerts':
+      await handleAlerts(args);
+      break;
 
-  case 'status':
-    await showStatus();
-    break;
+    case 'digest':
+      await handleDigest(args);
+      break;
 
-  case 'rss':
-    await handleRSS(args);
-    break;
+    case 'feeds':
+      await handleFeeds(args);
+      break;
 
-  case 'read':
-    await handleRead(args);
-    break;
+    case 'doctor':
+      await handleDoctor(args);
+      break;
 
-  case 'search':
-    await handleSearch(args);
-    break;
+    case 'fixtures':
+      await handleFixtures(args);
+      break;
 
-  case 'prefs':
-    await handlePrefs(args);
-    break;
+    case 'prefs':
+      await handlePrefs(args);
+      break;
 
-  case 'user':
-    await handleUser(args);
-    break;
+    case 'user':
+      await handleUser(args);
+      break;
 
-  // Keep old commands as aliases for backward compatibility (hidden from help)
-  case 'headlines':
-    await handleRSS(args);
-    break;
+    // Keep old commands as aliases for backward compatibility (hidden from help)
+    case 'headlines':
+      await handleRSS(args);
+      break;
 
-  case 'article':
-    await handleRead(args);
-    break;
+    case 'article':
+      await handleRead(args);
+      break;
 
-  case 'profile':
-    // Redirect to prefs with a notice
-    console.error('Note: "profile" command has been renamed to "prefs".\n');
-    await handlePrefs(args);
-    break;
+    case 'profile':
+      // Redirect to prefs with a notice
+      console.error('Note: "profile" command has been renamed to "prefs".\n');
+      await handlePrefs(args);
+      break;
 
-  default:
-    console.log(`WSJ CLI - Wall Street Journal reader
+    default:
+      console.log(`WSJ CLI - Wall Street Journal reader
 
 Commands:
   wsj setup                    Start Chrome with CDP (do this first, then log into WSJ)
-  wsj status                   Check if Chrome/CDP is connected
+      --headless               No window, for servers (log in once without it first)
+      --stop                   Stop the Chrome started by setup
+      --profile-dir <dir>      Chrome profile to use (any command; default ~/.config/wsj/chrome)
+  wsj status [--json]          Check Chrome/CDP and whether it is logged into WSJ
+  wsj doctor feeds [--json]    Diagnose every feed (status, redirects, items, freshness)
+  wsj fixtures record [--dir <path>]  Snapshot current feeds for offline replay
 
   wsj rss <section> [--json]   Get headlines via RSS (no login needed)
   wsj rss all [--json]         Get headlines from all sections
+  wsj rss all --merge [--json] One de-duplicated timeline across sections, newest first
+      --max-age <sec>          Serve from cache if younger than <sec> (default ${DEFAULT_CACHE_TTL})
+      --offline                Serve from cache only, never hit the network
+      --timeout <sec>          Per-request timeout (default ${DEFAULT_FETCH_TIMEOUT})
+      --retries <n>            Retries with exponential backoff (default ${DEFAULT_FETCH_RETRIES})
+      --new                    Only articles not returned to you before (marks them seen)
+      --mark-seen              Also mark articles not returned (filtered, past --limit) as seen
+      --reset-seen             Forget which articles you have seen
+      --since <dur|ISO>        Only articles published since, e.g. 24h, 90m, 2d, 2026-02-01
+      --until <dur|ISO>        Only articles published before
+      --limit <n>              At most n articles per section (markdown default 15, all: 10)
+      --match <regex>          Only titles/descriptions matching (case-insensitive)
+      --exclude <regex>        Drop titles/descriptions matching
+      --category <type>        Only articles of this article type
+      --ticker <symbol>        Only articles about this stock (NVDA, $TSLA, BRK.B)
+
+  wsj watch [sections...]      Poll feeds and stream new headlines until Ctrl-C
+      --interval <sec>         Seconds between polls (default ${DEFAULT_WATCH_INTERVAL})
+      --json                   One JSON object per line (NDJSON)
+      --exec <cmd>             Run a shell command per new article (WSJ_TITLE, WSJ_URL,
+                               WSJ_SECTION, WSJ_PUBDATE; article JSON on stdin)
+      --count <n>              Stop after n polls
+      --since/--until/--match/--exclude/--category/--ticker  Same as rss
+      --max-age/--timeout/--retries  Same as rss, per poll (--max-age defaults to --interval)
+
+  wsj digest [sections...] [--json]  Ranked top stories for your topics and sections
+      --limit <n>              Number of stories (default ${DEFAULT_DIGEST_LIMIT})
+      --since <dur|ISO>        Only articles published since
+      --until/--match/--exclude/--category/--ticker  Same as rss
+      --max-age/--timeout/--retries  Same as rss
+
+  wsj alerts [topics...] [--json]  New headlines matching your saved topics (fires once each)
+      --since <dur|ISO>        Look-back window (default ${DEFAULT_ALERT_WINDOW})
+      --until/--match/--exclude/--category/--ticker  Same as rss
+      --max-age/--timeout/--retries  Same as rss
+      --search                 Also check WSJ search results (requires CDP)
+      --reset                  Forget which alerts have fired
+
+  wsj feeds list [--json]      List built-in and custom feeds
+  wsj feeds add <name> <url>   Add a custom feed (or override a built-in URL)
+  wsj feeds rm <name>          Remove a custom feed or override
 
   wsj read <url> [--json]      Read full article (requires CDP + WSJ login)
+                               Exit 3: preview only (log in), 4: no content
+  wsj read <url...> [--json | --ndjson]  Read several articles over one connection
+      --stdin                  Read URLs from stdin, one per line
+      --concurrency <n>        Pages open at once (default ${DEFAULT_READ_CONCURRENCY})
+      --refresh                Re-fetch even if the article is archived
   wsj search "<query>" [--json] Search articles (requires CDP)
+      --limit <n>              Results per page (default ${DEFAULT_SEARCH_LIMIT}, max ${MAX_SEARCH_LIMIT})
+      --page <n>               Page of --limit results (default 1)
+      --from/--to <dur|ISO>    Published in this date range, e.g. 7d, 2026-02-01
+      --sort newest|relevance  Result order (default: WSJ relevance)
+      --section <name>         ${Object.keys(SEARCH_SECTIONS).join(', ')}
+      --type <type>            ${Object.keys(SEARCH_TYPES).join(', ')}
+      --source <src>           ${SEARCH_SOURCES.join('|')} (default auto: RSS + archive without Chrome)
+  wsj search save <name> "<query>" [filters]  Save a search (same filters, except --page)
+  wsj search run <name> [--json]  Run a saved search; only results it hasn't returned before
+  wsj search list [--json]     Saved searches with run history
+  wsj search rm <name...>      Delete saved searches
+
+  wsj archive list [--json]    Articles saved by read (served offline; read --refresh re-fetches)
+  wsj archive show <id|url>    Print an archived article
+  wsj archive rm <id|url...>   Remove archived articles (--all for everything)
+  wsj archive search "<query>" [--json]  Ranked full-text search of the archive, offline
+  wsj export <url|id...> --out <file>  Bundle articles as epub, html, md or pdf
+      --format <fmt>           epub | html | md | pdf (default: from --out extension)
+      --title <title>          Document title (default: article title or reading list)
 
   wsj prefs get                Get your preferences as JSON
   wsj prefs set '<json>'       Set your preferences
@@ -775,6 +4398,8 @@ Examples:
   wsj rss markets              # Get market headlines
   wsj rss tech --json          # Get tech headlines as JSON
   wsj rss all --json           # Get all sections as JSON
+  wsj rss all --since 24h --match "fed|rates" --json
+  wsj watch markets --interval 120 --match "fed|rates"
   wsj read "<url>" --json      # Read article as JSON
   wsj search "Federal Reserve" # Search for articles
 
@@ -782,9 +4407,18 @@ Examples:
   wsj prefs set '{"topics": ["AI", "markets"], "instructions": "Brief bullets"}'
   wsj prefs get                # Get your preferences
   wsj prefs update topics '["AI", "Fed", "tariffs"]'
+  wsj alerts --json            # New headlines on your topics
+  wsj digest --json            # Your ranked top 5 with score breakdown
 
 Environment:
   WSJ_USER                     Your username (required for all commands)
+  WSJ_CACHE_TTL                Default feed cache TTL in seconds (default ${DEFAULT_CACHE_TTL})
+  WSJ_FEED_BASE_URL            Serve built-in feeds from another base URL (e.g. a local stand-in)
+  WSJ_FIXTURES_DIR             Read feeds from recorded <section>.xml files, no network
+  WSJ_CDP_URL                  Chrome DevTools endpoint, http:// or ws:// (may be remote)
+  WSJ_CDP_PORT                 Local CDP port (default ${DEFAULT_CDP_PORT})
+
+Config file (~/.config/wsj/config.json): { "cdp_url", "cdp_port", "profile_dir" }
 
 First time setup:
   1. export WSJ_USER=<your-username>
@@ -794,4 +4428,32 @@ First time setup:
   5. Log into WSJ in that Chrome window
   6. Keep Chrome running
   7. Use other commands as needed`);
+  }
 }
+
+// Run as a command unless imported (the unit tests import the helpers below)
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  await main();
+}
+
+// Pure helpers and in-page functions, for the unit tests
+export {
+  parseFeed,
+  extractEntities,
+  extractArticleBlocks,
+  renderBlocks,
+  linkifyParagraph,
+  detectPaywall,
+  classifyAccess,
+  PREVIEW_WORD_THRESHOLD,
+  scrapeSearchResults,
+  easternOffsetMinutes,
+  parseSearchDate,
+  isStoryURL,
+  searchResultType,
+  searchResult,
+  parseSearchOptions,
+  searchSiteWindow,
+  searchURL,
+  wsjLoginState
+};
@@ -1,23 +1,64 @@
 import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
-import { spawnSync } from 'child_process';
-import { existsSync, mkdirSync, rmSync, readFileSync, writeFileSync } from 'fs';
+import { spawn, spawnSync } from 'child_process';
+import { createHash } from 'crypto';
+import { crc32, inflateRawSync } from 'zlib';
+import { existsSync, mkdirSync, mkdtempSync, rmSync, readFileSync, readdirSync, writeFileSync } from 'fs';
 import { join } from 'path';
-import { homedir } from 'os';
+import { homedir, platform, tmpdir } from 'os';
+import { JSDOM } from 'jsdom';
+import {
+  parseFeed, extractEntities,
+  extractArticleBlocks, renderBlocks, linkifyParagraph,
+  detectPaywall, classifyAccess, PREVIEW_WORD_THRESHOLD,
+  scrapeSearchResults, easternOffsetMinutes, parseSearchDate, isStoryURL, searchResultType, searchResult,
+  parseSearchOptions, searchSiteWindow, searchURL,
+  wsjLoginState
+} from './wsj.mjs';
 
 const CLI = './wsj.mjs';
+// The CLI runs with a throwaway HOME, so the developer's ~/.config/wsj
+// (users, feeds, cache, archive, Chrome profile) is never read or written.
+// Playwright keeps looking for its bundled Chromium under the real home.
+const TEST_HOME = mkdtempSync(join(tmpdir(), 'wsj-home-'));
+const TEST_ENV = {
+  ...process.env,
+  HOME: TEST_HOME,
+  PLAYWRIGHT_BROWSERS_PATH: process.env.PLAYWRIGHT_BROWSERS_PATH || (platform() === 'darwin'
+    ? join(homedir(), 'Library/Caches/ms-playwright')
+    : join(process.env.XDG_CACHE_HOME || join(homedir(), '.cache'), 'ms-playwright'))
+};
 // v1.5: XDG-compliant config directory
-const CONFIG_DIR = join(homedir(), '.config/wsj');
+const CONFIG_DIR = join(TEST_HOME, '.config/wsj');
 const CREDENTIALS_FILE = join(CONFIG_DIR, 'credentials.json');
+const FEEDS_FILE = join(CONFIG_DIR, 'feeds.json');
+const CACHE_DIR = join(CONFIG_DIR, 'cache');
+const ARCHIVE_DIR = join(CONFIG_DIR, 'archive');
+const CONFIG_FILE = join(CONFIG_DIR, 'config.json');
+const CHROME_PID_FILE = join(CONFIG_DIR, 'chrome', 'wsj-chrome.pid');
 const TEST_USER_NAME = '_test_user_';
 const NEWS_TEST_USER = '_news_test_user_';
 
+// Feed URL stems of the built-in sections (see BUILTIN_FEEDS in wsj.mjs)
+const FEED_STEMS = {
+  world: 'RSSWorldNews',
+  us: 'WSJcomUSBusiness',
+  markets: 'RSSMarketsMain',
+  opinion: 'RSSOpinion',
+  tech: 'RSSWSJD',
+  lifestyle: 'RSSLifestyle'
+};
+
+// Recorded feeds are generated per run so pubDates stay relative to now
+const FIXTURES_DIR = mkdtempSync(join(tmpdir(), 'wsj-fixtures-'));
+
 // Helper to run CLI safely using spawnSync (no shell injection risk)
 // Set withUser=true to run with WSJ_USER set (for news commands)
 // Set username to override the default username
-function runCLI(argsString, { withUser = false, username = null, withProfile = false, profileName = null } = {}) {
+// Feeds replay from FIXTURES_DIR unless env overrides WSJ_FIXTURES_DIR
+function runCLI(argsString, { withUser = false, username = null, withProfile = false, profileName = null, env: extraEnv = {} } = {}) {
   const args = parseArgs(argsString);
-  const env = { ...process.env };
+  const env = { ...TEST_ENV, WSJ_FIXTURES_DIR: FIXTURES_DIR, ...extraEnv };
   // Support both old and new parameter names for backwards compatibility in tests
   if (withUser || withProfile) {
     env.WSJ_USER = username || profileName || NEWS_TEST_USER;
@@ -66,13 +107,6 @@ function setupNewsTestUser() {
   saveCredentials(creds);
 }
 
-// Clean up news test user
-function cleanupNewsTestUser() {
-  const creds = loadCredentials();
-  delete creds.users[NEWS_TEST_USER];
-  saveCredentials(creds);
-}
-
 // Simple argument parser that handles quoted strings
 function parseArgs(str) {
   if (!str) return [];
@@ -117,16 +151,147 @@ function cleanupTestUsers() {
   saveCredentials(creds);
 }
 
+// Remove test feeds (and any test override of a built-in) from feeds.json
+function cleanupTestFeeds() {
+  if (!existsSync(FEEDS_FILE)) return;
+  const data = JSON.parse(readFileSync(FEEDS_FILE, 'utf-8'));
+  for (const name of ['testfeed', 'lifestyle']) {
+    delete data.feeds[name];
+  }
+  writeFileSync(FEEDS_FILE, JSON.stringify(data, null, 2) + '\n');
+}
+
+// ============================================
+// Feed Fixtures
+// ============================================
+
+const HOUR = 60 * 60 * 1000;
+
+// A story every section carries, linked with a different ?mod= per section
+const SHARED_STORY = {
+  guid: 'SB-SHARED-0001',
+  title: 'Fed Holds Rates Steady as Inflation Cools',
+  path: 'economy/fed-holds-rates-steady-shared0001',
+  sections: ['world', 'us', 'markets']
+};
+
+function fixtureItem({ guid, title, path, section, hoursAgo, type }) {
+  return `
+    <item>
+      <title><![CDATA[${title}]]></title>
+      <link>https://www.wsj.com/${path}?mod=rss_${section}</link>
+      <description><![CDATA[<p>${title.replace(/&amp;/g, 'and')}. Full coverage from the ${section} desk.</p>]]></description>
+      <pubDate>${new Date(Date.now() - hoursAgo * HOUR).toUTCString()}</pubDate>
+      <guid isPermaLink="false">${guid}</guid>
+      <dc:creator>Test Reporter</dc:creator>
+      <category>${section}</category>
+      <wsj:articletype>${type}</wsj:articletype>
+      <media:content url="https://images.wsj.net/${guid}.jpg" medium="image" width="1280" height="720"/>
+    </item>`;
+}
+
+// Write <section>.xml for every built-in section: six items inside the
+// last 24h with CDATA titles and entities, plus one story shared across sections
+function writeFeedFixtures(dir) {
+  const topics = {
+    world: ['Ukraine Talks Resume in Geneva', 'Japan &amp; Korea Sign Trade Pact', 'EU Weighs New Energy Rules'],
+    us: ['Retail Sales Beat Forecasts', 'Boeing &amp; Unions Reach Deal', 'Housing Starts Slip in September'],
+    markets: ['Nvidia (NVDA) Shares Climb on AI Demand', 'Treasury Yields Fall &amp; Dollar Weakens', 'Oil Prices Rise on Supply Worries'],
+    opinion: ['The Case for Lower Taxes', 'Why Cities Need Density &amp; Transit', 'A Better Way to Fund Schools'],
+    tech: ['Apple Unveils New Chips', 'Startups &amp; Investors Chase AI Agents', 'Chip Export Rules Tighten'],
+    lifestyle: ['The Best Fall Road Trips', 'Coffee &amp; Cardamom: A Recipe', 'How to Sleep Better on Flights']
+  };
+
+  for (const [index, section] of Object.keys(FEED_STEMS).entries()) {
+    const items = [];
+    for (let i = 0; i < 6; i++) {
+      const title = `${topics[section][i % 3]}${i >= 3 ? ' — Update' : ''}`;
+      items.push(fixtureItem({
+        guid: `SB-${section.toUpperCase()}-${i}`,
+        title,
+        path: `${section}/story-${i}`,
+        section,
+        hoursAgo: 1 + i * 3 + index * 0.25,
+        type: i % 2 ? 'Analysis' : 'News'
+      }));
+    }
+    if (SHARED_STORY.sections.includes(section)) {
+      items.push(fixtureItem({ ...SHARED_STORY, section, hoursAgo: 0.5, type: 'News' }));
+    }
+
+    writeFileSync(join(dir, `${section}.xml`), `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/" xmlns:wsj="https://www.wsj.com/">
+  <channel>
+    <title>WSJ.com: ${section}</title>
+    <link>https://www.wsj.com/</link>
+    <description>Fixture feed for ${section}</description>${items.join('')}
+  </channel>
+</rss>
+`);
+  }
+}
+
+// Serve the fixtures over HTTP from a child process (spawnSync blocks this
+// one) at /<stem>, with an ETag so conditional requests get a 304. Pass files
+// ({ path: file }) to serve something else; .html files are served as pages.
+function startFeedStandIn(files = Object.fromEntries(Object.entries(FEED_STEMS).map(([section, stem]) => [stem, join(FIXTURES_DIR, `${section}.xml`)]))) {
+  const code = `
+    const http = require('http');
+    const fs = require('fs');
+    const files = JSON.parse(process.argv[1]);
+    const server = http.createServer((req, res) => {
+      const file = files[req.url.split('?')[0].slice(1)];
+      if (!file) { res.writeHead(404); return res.end('not found'); }
+      if (req.headers['if-none-match'] === '"fixture"') { res.writeHead(304); return res.end(); }
+      const type = file.endsWith('.html') ? 'text/html; charset=utf-8' : 'application/rss+xml';
+      res.writeHead(200, { 'content-type': type, etag: '"fixture"' });
+      res.end(fs.readFileSync(file));
+    });
+    server.listen(0, '127.0.0.1', () => console.log(server.address().port));
+  `;
+  const child = spawn(process.execPath, ['-e', code, JSON.stringify(files)], { stdio: ['ignore', 'pipe', 'inherit'] });
+
+  return new Promise((resolve, reject) => {
+    child.once('error', reject);
+    child.stdout.once('data', data => {
+      const baseUrl = `http://127.0.0.1:${String(data).trim()}`;
+      resolve({
+        baseUrl,
+        env: { WSJ_FEED_BASE_URL: baseUrl, WSJ_FIXTURES_DIR: '' },
+        stop() {
+          child.kill();
+          cleanupCacheFor(baseUrl);
+        }
+      });
+    });
+  });
+}
+
+// Remove cache entries written while feeds pointed at a stand-in
+function cleanupCacheFor(baseUrl) {
+  if (!existsSync(CACHE_DIR)) return;
+  for (const name of readdirSync(CACHE_DIR)) {
+    const file = join(CACHE_DIR, name);
+    try {
+      if (JSON.parse(readFileSync(file, 'utf-8')).url?.startsWith(baseUrl)) rmSync(file);
+    } catch {
+      // Not a cache entry we wrote
+    }
+  }
+}
+
 // ============================================
 // Global Setup/Teardown for News Tests
 // ============================================
 
-// Setup news test user before all tests
+// Setup news test user and feed fixtures before all tests
 setupNewsTestUser();
+writeFeedFixtures(FIXTURES_DIR);
 
-// Cleanup on process exit
-process.on('exit', () => {
-  cleanupNewsTestUser();
+// Remove the fixtures and the throwaway HOME after all tests
+after(() => {
+  rmSync(FIXTURES_DIR, { recursive: true, force: true });
+  rmSync(TEST_HOME, { recursive: true, force: true });
 });
 
 // ============================================
@@ -463,223 +628,261 @@ describe('RSS Tool', () => {
 });
 
 // ============================================
-// User Enforcement Tests
+// RSS Cache Tests
 // ============================================
 
-describe('User Enforcement', () => {
-  it('should require WSJ_USER for rss command', () => {
-    const { stderr, exitCode } = runCLI('rss markets', { withUser: false });
+describe('RSS Cache', () => {
+  let standIn;
+  let env;
 
-    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
-    assert.ok(stderr.includes('WSJ_USER') || stderr.includes('ERROR'),
-      'Should show user required error');
+  before(async () => {
+    standIn = await startFeedStandIn();
+    env = standIn.env;
   });
 
-  it('should require WSJ_USER for read command', () => {
-    const { stderr, exitCode } = runCLI('read https://example.com', { withUser: false });
-
-    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
-    assert.ok(stderr.includes('WSJ_USER') || stderr.includes('ERROR'),
-      'Should show user required error');
+  after(() => {
+    standIn.stop();
   });
 
-  it('should require WSJ_USER for search command', () => {
-    const { stderr, exitCode } = runCLI('search test', { withUser: false });
+  it('should report cached and cache_age in JSON', () => {
+    const { stdout, exitCode } = runCLI('rss markets --json', { withProfile: true, env });
 
-    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
-    assert.ok(stderr.includes('WSJ_USER') || stderr.includes('ERROR'),
-      'Should show user required error');
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const data = JSON.parse(stdout);
+    assert.ok('cached' in data, 'Should have cached field');
+    assert.ok('cache_age' in data, 'Should have cache_age field');
   });
 
-  it('should require WSJ_USER for prefs get command', () => {
-    const { stderr, exitCode } = runCLI('prefs get', { withUser: false });
+  it('should serve a repeat request from cache within --max-age', () => {
+    runCLI('rss markets --json', { withProfile: true, env });
+    const { stdout, exitCode } = runCLI('rss markets --json --max-age 3600', { withProfile: true, env });
 
-    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
-    assert.ok(stderr.includes('WSJ_USER'), 'Should mention WSJ_USER');
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const data = JSON.parse(stdout);
+    assert.strictEqual(data.cached, true, 'Should be served from cache');
+    assert.ok(typeof data.cache_age === 'number', 'Should report cache age in seconds');
+    assert.strictEqual(data.section, 'markets', 'Should not treat --max-age value as section');
   });
 
-  it('should require WSJ_USER for prefs set command', () => {
-    const json = JSON.stringify({ topics: ['test'] });
-    const { stderr, exitCode } = runCLI(`prefs set '${json}'`, { withUser: false });
+  it('should serve from cache with --offline', () => {
+    runCLI('rss tech --json', { withProfile: true, env });
+    const { stdout, exitCode } = runCLI('rss tech --offline --json', { withProfile: true, env });
 
-    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
-    assert.ok(stderr.includes('WSJ_USER'), 'Should mention WSJ_USER');
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const data = JSON.parse(stdout);
+    assert.strictEqual(data.cached, true, 'Should be served from cache');
   });
 
-  it('should require WSJ_USER for prefs update command', () => {
-    const { stderr, exitCode } = runCLI('prefs update key value', { withUser: false });
+  it('should reject invalid --max-age', () => {
+    const { stderr, exitCode } = runCLI('rss markets --max-age soon', { withProfile: true, env });
 
     assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
-    assert.ok(stderr.includes('WSJ_USER'), 'Should mention WSJ_USER');
+    assert.ok(stderr.includes('--max-age'), 'Should mention --max-age');
   });
 
-  it('should allow status command without WSJ_USER', () => {
-    const { exitCode } = runCLI('status', { withUser: false });
+  it('should reject --max-age or --retries without a value', () => {
+    for (const args of ['rss markets --max-age', 'rss markets --retries', 'rss markets --max-age " "']) {
+      const { stderr, exitCode } = runCLI(args, { withProfile: true, env });
 
-    assert.strictEqual(exitCode, 0, 'Status should work without WSJ_USER');
+      assert.notStrictEqual(exitCode, 0, `${args}: should exit with non-zero code`);
+      assert.ok(/--(max-age|retries) must be/.test(stderr), `${args}: should say what the flag needs`);
+    }
   });
 });
 
 // ============================================
-// Read Tool Tests
+// RSS Filter Tests
 // ============================================
 
-describe('Read Tool', () => {
-  it('should show usage when URL missing', () => {
-    const { stderr, exitCode } = runCLI('read', { withProfile: true });
+describe('RSS Filters', () => {
+  it('should cap articles per section with --limit in JSON', () => {
+    const { stdout, exitCode } = runCLI('rss all --limit 3 --json', { withProfile: true });
 
-    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
-    assert.ok(stderr.includes('Usage'), 'Should show usage');
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const data = JSON.parse(stdout);
+    for (const section of data.sections) {
+      assert.ok(section.articles.length <= 3, `Section "${section.section}" should have at most 3 articles`);
+    }
   });
 
-  it('should accept --json flag without error in usage', () => {
-    const { stderr } = runCLI('read', { withProfile: true });
-    assert.ok(stderr.includes('--json'), 'Usage should mention --json flag');
-  });
-});
+  it('should only return articles inside the --since window', () => {
+    const { stdout, exitCode } = runCLI('rss markets --since 24h --json', { withProfile: true });
 
-// ============================================
-// Search Tool Tests
-// ============================================
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const data = JSON.parse(stdout);
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000 - 60000;
+    for (const article of data.articles) {
+      assert.ok(new Date(article.pubDate).getTime() >= cutoff, `Article "${article.title}" is older than 24h`);
+    }
+  });
 
-describe('Search Tool', () => {
-  it('should show usage when query missing', () => {
-    const { stderr, exitCode } = runCLI('search', { withProfile: true });
+  it('should apply --match and --exclude to titles and descriptions', () => {
+    const all = JSON.parse(runCLI('rss world --json', { withProfile: true }).stdout);
+    if (all.articles.length === 0) return;
+    const word = all.articles[0].title.split(/\s+/).find(w => /^[A-Za-z]{4,}$/.test(w));
+    if (!word) return;
 
-    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
-    assert.ok(stderr.includes('Usage'), 'Should show usage');
+    const matched = JSON.parse(runCLI(`rss world --match ${word} --json`, { withProfile: true }).stdout);
+    assert.ok(matched.articles.length > 0, 'Should match at least the source article');
+    const excluded = JSON.parse(runCLI(`rss world --exclude ${word} --json`, { withProfile: true }).stdout);
+    assert.strictEqual(matched.articles.length + excluded.articles.length, all.articles.length,
+      '--match and --exclude should partition the section');
   });
 
-  it('should accept --json flag without error in usage', () => {
-    const { stderr } = runCLI('search', { withProfile: true });
-    assert.ok(stderr.includes('--json'), 'Usage should mention --json flag');
-  });
-});
+  it('should reject an invalid --since value', () => {
+    const { stderr, exitCode } = runCLI('rss markets --since yesterday', { withProfile: true });
 
-// ============================================
-// Status Tool Tests
-// ============================================
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('--since'), 'Should mention --since');
+  });
 
-describe('Status Tool', () => {
-  it('should show connection status', () => {
-    const { stdout, exitCode } = runCLI('status');
+  it('should reject an invalid --limit value', () => {
+    const { stderr, exitCode } = runCLI('rss markets --limit 0', { withProfile: true });
 
-    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
-    assert.ok(stdout.includes('Connected:'), 'Should show connection status');
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('--limit'), 'Should mention --limit');
   });
 
-  it('should show port when connected', () => {
-    const { stdout } = runCLI('status');
+  it('should reject an invalid --match pattern', () => {
+    const { stderr, exitCode } = runCLI('rss markets --match "("', { withProfile: true });
 
-    assert.ok(stdout.includes('Port:') || stdout.includes('wsj setup'),
-      'Should show port or setup instructions');
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('--match'), 'Should mention --match');
   });
 });
 
 // ============================================
-// Backward Compatibility Tests
+// Entity Extraction Tests
 // ============================================
 
-describe('Backward Compatibility', () => {
-  it('headlines command should work as alias for rss', () => {
-    const { stdout, exitCode } = runCLI('headlines markets', { withUser: true });
+describe('Entity Extraction', () => {
+  it('should add tickers, companies and people to RSS articles', () => {
+    const { stdout, exitCode } = runCLI('rss markets --json', { withProfile: true });
 
     assert.strictEqual(exitCode, 0, 'Should exit with code 0');
-    assert.ok(stdout.includes('WSJ Headlines'), 'Should show headlines');
+    const articles = JSON.parse(stdout).articles;
+    assert.ok(articles.every(a => Array.isArray(a.entities.tickers) && Array.isArray(a.entities.people)),
+      'Every article should have entities');
+    const nvidia = articles.find(a => a.title.startsWith('Nvidia'));
+    assert.deepStrictEqual(nvidia.entities.tickers, ['NVDA'], 'Should extract the parenthesized ticker');
+    assert.deepStrictEqual(nvidia.entities.companies, [{ name: 'Nvidia', ticker: 'NVDA' }], 'Should name the company');
   });
 
-  it('headlines --json should work', () => {
-    const { stdout, exitCode } = runCLI('headlines tech --json', { withUser: true });
+  it('should filter by ticker with --ticker', () => {
+    const { stdout, exitCode } = runCLI('rss all --merge --ticker \'$nvda\' --json', { withProfile: true });
 
     assert.strictEqual(exitCode, 0, 'Should exit with code 0');
-    const data = JSON.parse(stdout);
-    assert.ok(data.section, 'Should return valid JSON');
+    const articles = JSON.parse(stdout).articles;
+    assert.ok(articles.length > 0, 'Should match the Nvidia stories');
+    assert.ok(articles.every(a => a.title.startsWith('Nvidia') && a.entities.tickers.includes('NVDA')),
+      'Only Nvidia stories should match');
   });
 
-  it('article command should show usage (alias for read)', () => {
-    const { stderr, exitCode } = runCLI('article', { withUser: true });
+  it('should reject an invalid --ticker value', () => {
+    const { stderr, exitCode } = runCLI('rss markets --ticker "not a ticker"', { withProfile: true });
 
     assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
-    assert.ok(stderr.includes('Usage'), 'Should show usage');
+    assert.ok(stderr.includes('--ticker'), 'Should mention --ticker');
   });
 
-  it('profile command should redirect to prefs with notice', () => {
-    const { stderr } = runCLI('profile get', { username: NEWS_TEST_USER });
+  it('should extract entities from article bodies in read', () => {
+    const article = seedArchive('wsj-test-entities', {
+      title: 'Chip Makers Rally',
+      content: 'Nvidia Chief Executive Jensen Huang said demand was strong. Shares of Advanced Micro Devices rose, and $TSLA slipped.',
+      archivedAt: '2026-02-04T10:00:00.000Z'
+    });
+    try {
+      const { stdout, exitCode } = runCLI(`read ${article.url} --json`, { withProfile: true });
 
-    assert.ok(stderr.includes('prefs'), 'Should redirect to prefs functionality');
+      assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+      const { entities } = JSON.parse(stdout);
+      assert.deepStrictEqual(entities.tickers.sort(), ['AMD', 'NVDA', 'TSLA'], 'Should find named companies and cashtags');
+      assert.deepStrictEqual(entities.people, ['Jensen Huang'], 'Should find the quoted executive');
+    } finally {
+      rmSync(join(ARCHIVE_DIR, `${article.id}.json`), { force: true });
+    }
   });
-});
 
-// ============================================
-// Edge Cases & Error Handling
-// ============================================
+  it('should not take abbreviations, party letters or look-alike words for companies', () => {
+    const entities = extractEntities('Federal Open Market Committee (FOMC) Holds; Bank of Japan (BOJ) Waits … ' +
+      'U.S. Intel Shows Harrison Ford said nothing. Sen. Smith (D) spoke. Apple Pie.');
 
-describe('Edge Cases', () => {
-  beforeEach(() => {
-    cleanupTestUsers();
+    assert.deepStrictEqual(entities.tickers, [], 'Should find no tickers');
+    assert.deepStrictEqual(entities.companies, [], 'Should find no companies');
+    assert.deepStrictEqual(entities.people, ['Harrison Ford'], 'A company alias inside a name should not drop the person');
   });
 
-  afterEach(() => {
-    cleanupTestUsers();
+  it('should only take a parenthesized symbol with an exchange or a known ticker', () => {
+    assert.deepStrictEqual(extractEntities('Acme (XYZ) Rallies').tickers, [], 'Unknown bare symbol');
+    assert.deepStrictEqual(extractEntities('Ford (F) Recalls Trucks').tickers, [], 'Single letter without an exchange');
+    assert.deepStrictEqual(extractEntities('Ford Motor (NYSE: F) Recalls Trucks').tickers, ['F'], 'Single letter with an exchange');
+    assert.deepStrictEqual(extractEntities('Acme (NASDAQ: ACME) Rallies').companies, [{ name: 'Acme', ticker: 'ACME' }]);
+    assert.deepStrictEqual(extractEntities('Oracle (ORCL) Beats').companies, [{ name: 'Oracle', ticker: 'ORCL' }], 'Known ticker');
   });
 
-  it('should handle preferences with special characters in instructions', () => {
-    const json = JSON.stringify({
-      instructions: 'Test with special chars: $100 & more'
-    });
-    const { exitCode } = runCLI(`prefs set '${json}'`, { username: TEST_USER_NAME });
-
-    assert.strictEqual(exitCode, 0, 'Should handle special characters');
+  it('should not make a company out of a generic word before a ticker', () => {
+    const entities = extractEntities('The Committee (NYSE: CMTE) met.');
 
-    const { stdout } = runCLI('prefs get', { username: TEST_USER_NAME });
-    const data = JSON.parse(stdout);
-    assert.ok(data.instructions.includes('$100'), 'Should preserve special chars');
+    assert.deepStrictEqual(entities.tickers, ['CMTE'], 'Should keep the exchange-prefixed ticker');
+    assert.deepStrictEqual(entities.companies, [], 'Should not name a company "Committee"');
   });
 
-  it('should handle preferences update with nested JSON value', () => {
-    const original = { instructions: 'Test' };
-    runCLI(`prefs set '${JSON.stringify(original)}'`, { username: TEST_USER_NAME });
-
-    const { exitCode } = runCLI(`prefs update config '{"nested": {"key": "value"}}'`, { username: TEST_USER_NAME });
-
-    assert.strictEqual(exitCode, 0, 'Should handle nested JSON');
+  it('should take ambiguous one-word names as companies only with corporate context', () => {
+    const names = text => extractEntities(text).companies.map(c => c.name);
 
-    const { stdout } = runCLI('prefs get', { username: TEST_USER_NAME });
-    const data = JSON.parse(stdout);
-    assert.deepStrictEqual(data.config, { nested: { key: 'value' } }, 'Should preserve nested structure');
+    assert.deepStrictEqual(names('Apple Pie Season Arrives'), [], 'Apple alone');
+    assert.deepStrictEqual(names('Shell Game in Congress'), [], 'Shell alone');
+    assert.deepStrictEqual(names('Apple Inc. Raises Prices'), ['Apple'], 'Followed by Inc.');
+    assert.deepStrictEqual(names('Intel shares slide'), ['Intel'], 'Followed by shares');
+    assert.deepStrictEqual(names('Investors sold shares of Ford'), ['Ford Motor'], 'After "shares of"');
+    assert.deepStrictEqual(names('Ford (NYSE: F) Recalls Trucks'), ['Ford Motor'], 'With its ticker');
+    assert.deepStrictEqual(names('Nvidia Beats Estimates'), ['Nvidia'], 'Unambiguous names need no context');
   });
 });
 
 // ============================================
-// JSON Output Validation Tests
+// RSS Merge Tests
 // ============================================
 
-describe('JSON Output Validation', () => {
-  it('rss JSON should have ISO timestamp', () => {
-    const { stdout } = runCLI('rss markets --json', { withProfile: true });
+describe('RSS Merge', () => {
+  it('should return one de-duplicated timeline with --merge', () => {
+    const { stdout, exitCode } = runCLI('rss all --merge --json', { withProfile: true });
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
     const data = JSON.parse(stdout);
+    assert.strictEqual(data.merged, true, 'Should flag merged output');
+    assert.ok(Array.isArray(data.articles), 'Should have a flat articles array');
 
-    const timestamp = new Date(data.fetched_at);
-    assert.ok(!isNaN(timestamp.getTime()), 'fetched_at should be valid date');
+    const urls = data.articles.map(a => a.url.split(/[?#]/)[0].replace(/\/+$/, ''));
+    assert.strictEqual(new Set(urls).size, urls.length, 'Should not contain duplicate URLs');
+    for (const article of data.articles) {
+      assert.ok(Array.isArray(article.sections) && article.sections.length > 0, 'Each article should list its sections');
+    }
   });
 
-  it('rss all JSON should have consistent structure', () => {
-    const { stdout } = runCLI('rss all --json', { withProfile: true });
+  it('should sort the merged timeline newest first', () => {
+    const { stdout } = runCLI('rss all --merge --json', { withProfile: true });
     const data = JSON.parse(stdout);
 
-    for (const section of data.sections) {
-      assert.ok(section.section, 'Each section should have section name');
-      assert.ok(section.fetched_at, 'Each section should have fetched_at');
-      assert.ok(Array.isArray(section.articles), 'Each section should have articles array');
+    const times = data.articles.map(a => new Date(a.pubDate).getTime()).filter(t => !isNaN(t));
+    for (let i = 1; i < times.length; i++) {
+      assert.ok(times[i - 1] >= times[i], 'Articles should be sorted by pubDate descending');
     }
   });
+
+  it('should reject --merge for a single section', () => {
+    const { stderr, exitCode } = runCLI('rss world --merge', { withProfile: true });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('--merge'), 'Should mention --merge');
+  });
 });
 
 // ============================================
-// Additional Prefs Tests (v1.5)
+// RSS Seen Tracking Tests
 // ============================================
 
-describe('Additional Prefs Tests', () => {
+describe('RSS Seen Tracking', () => {
   beforeEach(() => {
     cleanupTestUsers();
   });
@@ -688,68 +891,1980 @@ describe('Additional Prefs Tests', () => {
     cleanupTestUsers();
   });
 
-  it('should accept empty JSON object (empty preferences)', () => {
-    const { exitCode } = runCLI("prefs set '{}'", { username: '_test_invalid_' });
+  it('should include a seen boolean on every article', () => {
+    const { stdout, exitCode } = runCLI('rss world --json', { username: TEST_USER_NAME });
 
-    assert.strictEqual(exitCode, 0, 'Should accept empty preferences');
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const data = JSON.parse(stdout);
+    for (const article of data.articles) {
+      assert.strictEqual(typeof article.seen, 'boolean', 'Article should have seen boolean');
+    }
   });
 
-  it('should reject non-object JSON', () => {
-    const { stderr, exitCode } = runCLI('prefs set \'"just a string"\'', { username: '_test_invalid_' });
+  it('should only return unseen articles with --new', () => {
+    const first = JSON.parse(runCLI('rss world --new --json', { username: TEST_USER_NAME }).stdout);
+    assert.ok(first.articles.every(a => a.seen === false), 'First run should return only unseen articles');
 
-    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    const second = JSON.parse(runCLI('rss world --new --json', { username: TEST_USER_NAME }).stdout);
+    const firstUrls = new Set(first.articles.map(a => a.url));
+    assert.ok(second.articles.every(a => !firstUrls.has(a.url)), 'Second run should not repeat articles');
+
+    const all = JSON.parse(runCLI('rss world --json', { username: TEST_USER_NAME }).stdout);
+    const seenUrls = all.articles.filter(a => a.seen).map(a => a.url);
+    assert.ok(seenUrls.length >= first.articles.length, 'Returned articles should be marked seen');
   });
 
-  it('should add new field via update', () => {
-    const original = { instructions: 'Test' };
-    runCLI(`prefs set '${JSON.stringify(original)}'`, { username: TEST_USER_NAME });
+  it('should record what a plain run returns, so --new skips it', () => {
+    const plain = JSON.parse(runCLI('rss world --limit 2 --json', { username: TEST_USER_NAME }).stdout);
+    assert.strictEqual(plain.articles.length, 2, 'Should return two articles');
 
-    const { exitCode } = runCLI('prefs update new_field "new value"', { username: TEST_USER_NAME });
+    const fresh = JSON.parse(runCLI('rss world --new --json', { username: TEST_USER_NAME }).stdout);
+    const returned = new Set(plain.articles.map(a => a.url));
+    assert.ok(fresh.articles.length > 0, 'Articles past --limit were not returned, so they are still new');
+    assert.ok(fresh.articles.every(a => !returned.has(a.url)), 'Articles returned by the plain run should not come back');
+  });
 
-    assert.strictEqual(exitCode, 0, 'Should succeed');
+  it('should record unreturned articles with --mark-seen and forget them with --reset-seen', () => {
+    runCLI('rss world --limit 1 --mark-seen --json', { username: TEST_USER_NAME });
+    const creds = loadCredentials();
+    assert.ok(Object.keys(creds.users[TEST_USER_NAME].context.seen_articles).length > 1,
+      'Should store every fetched article, not just the one returned');
+    const fresh = JSON.parse(runCLI('rss world --new --json', { username: TEST_USER_NAME }).stdout);
+    assert.strictEqual(fresh.articles.length, 0, 'Nothing should be new after catching up');
 
-    const { stdout } = runCLI('prefs get', { username: TEST_USER_NAME });
+    const { stdout } = runCLI('rss world --reset-seen --json', { username: TEST_USER_NAME });
     const data = JSON.parse(stdout);
-    assert.strictEqual(data.new_field, 'new value', 'Should have new field');
+    assert.ok(data.articles.every(a => a.seen === false), 'No article should be seen after reset');
   });
+});
 
-  it('should handle boolean value in update', () => {
-    const original = { instructions: 'Test' };
-    runCLI(`prefs set '${JSON.stringify(original)}'`, { username: TEST_USER_NAME });
+// ============================================
+// Feeds Tool Tests
+// ============================================
 
-    const { exitCode } = runCLI("prefs update include_opinion 'true'", { username: TEST_USER_NAME });
+describe('Feeds Tool', () => {
+  beforeEach(() => {
+    cleanupTestFeeds();
+  });
 
-    assert.strictEqual(exitCode, 0, 'Should succeed');
+  afterEach(() => {
+    cleanupTestFeeds();
+  });
 
-    const { stdout } = runCLI('prefs get', { username: TEST_USER_NAME });
+  it('should list built-in feeds as JSON', () => {
+    const { stdout, exitCode } = runCLI('feeds list --json');
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
     const data = JSON.parse(stdout);
-    assert.strictEqual(data.include_opinion, true, 'Should have boolean value');
+    const names = data.feeds.map(f => f.name);
+    for (const name of ['world', 'us', 'markets', 'opinion', 'tech', 'lifestyle']) {
+      assert.ok(names.includes(name), `Should include built-in feed ${name}`);
+    }
+    assert.ok(data.feeds.every(f => f.url && f.source), 'Each feed should have url and source');
   });
 
-  it('should handle number value in update', () => {
-    const original = { instructions: 'Test' };
-    runCLI(`prefs set '${JSON.stringify(original)}'`, { username: TEST_USER_NAME });
+  it('should add and remove a custom feed', () => {
+    const { stdout, exitCode } = runCLI('feeds add testfeed https://example.com/rss/test');
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    assert.ok(stdout.includes('testfeed'), 'Should confirm the feed name');
 
-    const { exitCode } = runCLI("prefs update max_items '10'", { username: TEST_USER_NAME });
+    const listed = JSON.parse(runCLI('feeds list --json').stdout);
+    const feed = listed.feeds.find(f => f.name === 'testfeed');
+    assert.ok(feed, 'Custom feed should be listed');
+    assert.strictEqual(feed.source, 'custom', 'Should be marked custom');
 
-    assert.strictEqual(exitCode, 0, 'Should succeed');
+    const { stdout: help } = runCLI('');
+    assert.ok(help.includes('testfeed'), 'Custom feed should appear in available sections');
 
-    const { stdout } = runCLI('prefs get', { username: TEST_USER_NAME });
-    const data = JSON.parse(stdout);
-    assert.strictEqual(data.max_items, 10, 'Should have number value');
+    const removed = runCLI('feeds rm testfeed');
+    assert.strictEqual(removed.exitCode, 0, 'Should remove custom feed');
+    const after = JSON.parse(runCLI('feeds list --json').stdout);
+    assert.ok(!after.feeds.some(f => f.name === 'testfeed'), 'Custom feed should be gone');
+  });
+
+  it('should override a built-in feed URL and restore it on rm', () => {
+    runCLI('feeds add lifestyle https://example.com/rss/lifestyle');
+    const listed = JSON.parse(runCLI('feeds list --json').stdout);
+    const feed = listed.feeds.find(f => f.name === 'lifestyle');
+    assert.strictEqual(feed.url, 'https://example.com/rss/lifestyle', 'Should use the override URL');
+    assert.strictEqual(feed.source, 'override', 'Should be marked as override');
+    assert.ok(feed.builtin_url, 'Should report the built-in URL');
+
+    runCLI('feeds rm lifestyle');
+    const restored = JSON.parse(runCLI('feeds list --json').stdout);
+    assert.strictEqual(restored.feeds.find(f => f.name === 'lifestyle').source, 'builtin', 'Should restore built-in');
+  });
+
+  it('should refuse to remove a built-in feed', () => {
+    const { stderr, exitCode } = runCLI('feeds rm world');
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('built-in'), 'Should explain built-in feeds cannot be removed');
+  });
+
+  it('should reject invalid feed names and URLs', () => {
+    assert.notStrictEqual(runCLI('feeds add all https://example.com/rss').exitCode, 0, 'Should reject reserved name');
+    assert.notStrictEqual(runCLI('feeds add Bad/Name https://example.com/rss').exitCode, 0, 'Should reject bad name');
+    assert.notStrictEqual(runCLI('feeds add testfeed not-a-url').exitCode, 0, 'Should reject bad URL');
+  });
+
+  it('should show usage when add arguments missing', () => {
+    const { stderr, exitCode } = runCLI('feeds add testfeed');
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('Usage'), 'Should show usage');
   });
 });
 
 // ============================================
-// Morning Feed E2E Tests (24-hour freshness)
+// Doctor Tool Tests
 // ============================================
 
-describe('Morning Feed - 24hr freshness', () => {
-  it('rss all should have some articles within the last 24 hours per section', () => {
-    const { stdout, exitCode } = runCLI('rss all --json', { withProfile: true });
-    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+describe('Doctor Tool', () => {
+  beforeEach(() => {
+    cleanupTestFeeds();
+  });
 
-    const data = JSON.parse(stdout);
+  afterEach(() => {
+    cleanupTestFeeds();
+  });
+
+  it('should show usage without a subcommand', () => {
+    const { stderr, exitCode } = runCLI('doctor');
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('Usage'), 'Should show usage');
+  });
+
+  it('should report every feed with diagnostics in JSON', () => {
+    const { stdout } = runCLI('doctor feeds --json');
+    const data = JSON.parse(stdout);
+
+    assert.ok(data.checked_at, 'Should have checked_at timestamp');
+    assert.strictEqual(data.feeds.length, 6, 'Should check all built-in feeds');
+    for (const feed of data.feeds) {
+      for (const key of ['section', 'url', 'ok', 'status', 'redirects', 'content_type', 'items', 'newest_pubDate', 'warnings', 'error']) {
+        assert.ok(key in feed, `Feed report should have ${key}`);
+      }
+    }
+  });
+
+  it('should report healthy feeds from a local stand-in', async () => {
+    const standIn = await startFeedStandIn();
+    const { stdout, exitCode } = runCLI('doctor feeds --json', { env: standIn.env });
+    standIn.stop();
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const data = JSON.parse(stdout);
+    for (const feed of data.feeds) {
+      assert.strictEqual(feed.ok, true, `Feed ${feed.section} should be ok`);
+      assert.strictEqual(feed.status, 200, 'Should report HTTP status');
+      assert.ok(feed.url.startsWith(standIn.baseUrl), 'Should check the overridden base URL');
+    }
+  });
+
+  it('should flag an unreachable feed and exit non-zero', async () => {
+    const standIn = await startFeedStandIn();
+    runCLI('feeds add testfeed http://127.0.0.1:1/rss');
+    const { stdout, exitCode } = runCLI('doctor feeds --json', { env: standIn.env });
+    standIn.stop();
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    const report = JSON.parse(stdout).feeds.find(f => f.section === 'testfeed');
+    assert.strictEqual(report.ok, false, 'Unreachable feed should not be ok');
+    assert.ok(report.error, 'Should describe the error');
+  });
+});
+
+describe('RSS Feed Errors', () => {
+  let standIn;
+  let env;
+
+  before(async () => {
+    standIn = await startFeedStandIn();
+    env = standIn.env;
+  });
+
+  after(() => {
+    standIn.stop();
+  });
+
+  beforeEach(() => {
+    cleanupTestFeeds();
+  });
+
+  afterEach(() => {
+    cleanupTestFeeds();
+  });
+
+  it('should emit a clear error when a feed cannot be fetched', () => {
+    runCLI('feeds add testfeed http://127.0.0.1:1/rss');
+    const { stderr, exitCode } = runCLI('rss testfeed --retries 0', { withProfile: true, env });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('127.0.0.1:1'), 'Should name the feed URL');
+  });
+
+  it('should return successful sections plus an errors array when one feed fails', () => {
+    runCLI('feeds add testfeed http://127.0.0.1:1/rss');
+    const { stdout, exitCode } = runCLI('rss all --retries 0 --json', { withProfile: true, env });
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0 when some sections succeed');
+    const data = JSON.parse(stdout);
+    assert.strictEqual(data.sections.length, 6, 'Should include the built-in sections');
+    assert.ok(Array.isArray(data.errors), 'Should have errors array');
+    const failure = data.errors.find(e => e.section === 'testfeed');
+    assert.ok(failure, 'Should report the failing section');
+    assert.ok(failure.error, 'Should describe the failure');
+  });
+
+  it('should reject a feed cut off mid-item without caching it', async () => {
+    // The world feed, cut off in the middle of its second item
+    const xml = readFileSync(join(FIXTURES_DIR, 'world.xml'), 'utf-8');
+    const truncated = join(FIXTURES_DIR, 'world-truncated.xml');
+    writeFileSync(truncated, xml.slice(0, xml.indexOf('<item>', xml.indexOf('<item>') + 1) + 20));
+    const broken = await startFeedStandIn({ [FEED_STEMS.world]: truncated, [FEED_STEMS.markets]: join(FIXTURES_DIR, 'markets.xml') });
+    try {
+      const { stderr, exitCode } = runCLI('rss world --retries 0', { withProfile: true, env: broken.env });
+      assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+      assert.ok(stderr.includes('incomplete or malformed XML'), 'Should say the feed is broken');
+
+      const cached = existsSync(CACHE_DIR) && readdirSync(CACHE_DIR).some(name => {
+        try {
+          return JSON.parse(readFileSync(join(CACHE_DIR, name), 'utf-8')).url?.startsWith(broken.baseUrl);
+        } catch {
+          return false;
+        }
+      });
+      assert.ok(!cached, 'Should not cache the broken body');
+
+      const doctor = runCLI('doctor feeds --json', { env: broken.env });
+      assert.notStrictEqual(doctor.exitCode, 0, 'doctor should exit non-zero');
+      const feeds = JSON.parse(doctor.stdout).feeds;
+      const world = feeds.find(f => f.section === 'world');
+      assert.strictEqual(world.ok, false, 'The truncated feed should not be ok');
+      assert.ok(world.error.includes('at end of document'), 'Should say where the document broke off');
+      assert.strictEqual(feeds.find(f => f.section === 'markets').ok, true, 'A complete feed should stay ok');
+    } finally {
+      broken.stop();
+    }
+  });
+
+  it('should reject invalid --timeout and --retries', () => {
+    assert.notStrictEqual(runCLI('rss world --timeout 0', { withProfile: true }).exitCode, 0, 'Should reject --timeout 0');
+    assert.notStrictEqual(runCLI('rss world --retries -1', { withProfile: true }).exitCode, 0, 'Should reject negative --retries');
+  });
+});
+
+// ============================================
+// Watch Tool Tests
+// ============================================
+
+describe('Watch Tool', () => {
+  it('should stream each article once as NDJSON, oldest first', () => {
+    const { stdout, exitCode } = runCLI('watch --count 1 --json', { withProfile: true });
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const articles = stdout.trim().split('\n').map(line => JSON.parse(line));
+    assert.ok(articles.length > 0, 'Should emit articles');
+    const guids = articles.map(a => a.guid);
+    assert.strictEqual(new Set(guids).size, guids.length, 'Should not emit an article twice');
+    const shared = articles.find(a => a.guid === SHARED_STORY.guid);
+    assert.deepStrictEqual(shared.sections, SHARED_STORY.sections, 'Shared story should list every section');
+
+    const times = articles.map(a => new Date(a.pubDate).getTime());
+    for (let i = 1; i < times.length; i++) {
+      assert.ok(times[i - 1] <= times[i], 'Articles should be emitted oldest first');
+    }
+  });
+
+  it('should not repeat articles on later polls', () => {
+    const once = runCLI('watch markets --count 1 --json', { withProfile: true }).stdout.trim().split('\n');
+    const twice = runCLI('watch markets --count 2 --interval 0.2 --json', { withProfile: true }).stdout.trim().split('\n');
+
+    assert.strictEqual(twice.length, once.length, 'Second poll should emit nothing new');
+  });
+
+  it('should apply --match to the stream', () => {
+    const { stdout } = runCLI('watch --count 1 --match NVDA --json', { withProfile: true });
+    const articles = stdout.trim().split('\n').map(line => JSON.parse(line));
+
+    assert.ok(articles.length > 0, 'Should emit the matching article');
+    assert.ok(articles.every(a => /NVDA/i.test(`${a.title} ${a.description}`)), 'Every article should match');
+  });
+
+  it('should not take fetch or filter values for sections', () => {
+    const until = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const { stdout, stderr, exitCode } = runCLI(`watch markets --count 1 --max-age 60 --until ${until} --json`, { withProfile: true });
+
+    assert.strictEqual(exitCode, 0, `Should exit with code 0: ${stderr}`);
+    const articles = stdout.trim().split('\n').map(line => JSON.parse(line));
+    assert.ok(articles.length > 0, 'Should emit articles');
+    assert.ok(articles.every(a => a.sections.includes('markets')), 'Should only watch markets');
+  });
+
+  it('should run the --exec hook per article with env vars and JSON on stdin', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'wsj-watch-'));
+    const out = join(dir, 'hook.log');
+    const hook = `node -e 'let d="";process.stdin.on("data",c=>d+=c).on("end",()=>require("fs").appendFileSync(process.argv[1],process.env.WSJ_SECTION+"|"+JSON.parse(d).url+"\\n"))' ${out}`;
+    const result = spawnSync('node', [CLI, 'watch', 'world', '--count', '1', '--json', '--exec', hook], {
+      encoding: 'utf-8',
+      timeout: 30000,
+      env: { ...TEST_ENV, WSJ_USER: NEWS_TEST_USER, WSJ_FIXTURES_DIR: FIXTURES_DIR }
+    });
+
+    assert.strictEqual(result.status, 0, 'Should exit with code 0');
+    const emitted = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+    const lines = readFileSync(out, 'utf-8').trim().split('\n');
+    assert.strictEqual(lines.length, emitted.length, 'Hook should run once per article');
+    assert.deepStrictEqual(lines, emitted.map(a => `world|${a.url}`), 'Hook should get section env and article JSON');
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should stop cleanly on SIGINT', async () => {
+    const child = spawn('node', [CLI, 'watch', '--interval', '60'], {
+      env: { ...TEST_ENV, WSJ_USER: NEWS_TEST_USER, WSJ_FIXTURES_DIR: FIXTURES_DIR }
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stderr.on('data', d => { stderr += d; });
+    await new Promise(resolve => child.stdout.on('data', d => {
+      stdout += d;
+      if (stdout.includes('https://')) resolve();
+    }));
+    child.kill('SIGINT');
+    const code = await new Promise(resolve => child.on('close', resolve));
+
+    assert.strictEqual(code, 0, 'Should exit with code 0');
+    assert.ok(stderr.includes('Stopped watching'), 'Should confirm it stopped');
+  });
+
+  it('should reject an invalid --interval and unknown sections', () => {
+    const interval = runCLI('watch --interval 0', { withProfile: true });
+    assert.notStrictEqual(interval.exitCode, 0, 'Should reject --interval 0');
+    assert.ok(interval.stderr.includes('--interval'), 'Should mention --interval');
+
+    const section = runCLI('watch nope --count 1', { withProfile: true });
+    assert.notStrictEqual(section.exitCode, 0, 'Should reject unknown section');
+    assert.ok(section.stderr.includes('Unknown section'), 'Should name the problem');
+  });
+});
+
+// ============================================
+// Alerts Tool Tests
+// ============================================
+
+describe('Alerts Tool', () => {
+  beforeEach(() => {
+    cleanupTestUsers();
+  });
+
+  afterEach(() => {
+    cleanupTestUsers();
+  });
+
+  it('should fire an alert for a ticker once per user', () => {
+    const first = JSON.parse(runCLI('alerts NVDA --json', { username: TEST_USER_NAME }).stdout);
+    assert.deepStrictEqual(first.topics, ['NVDA'], 'Should echo the topics');
+    assert.ok(first.alerts.length > 0, 'Should find the (NVDA) headline');
+    assert.ok(first.alerts.every(a => a.topics.includes('NVDA') && a.url && a.sections), 'Alerts should carry topics and article fields');
+
+    const second = JSON.parse(runCLI('alerts NVDA --json', { username: TEST_USER_NAME }).stdout);
+    assert.strictEqual(second.alerts.length, 0, 'Fired alerts should not repeat');
+
+    const reset = JSON.parse(runCLI('alerts NVDA --reset --json', { username: TEST_USER_NAME }).stdout);
+    assert.strictEqual(reset.alerts.length, first.alerts.length, '--reset should fire them again');
+  });
+
+  it('should not take fetch option values for topics', () => {
+    const { stdout, exitCode } = runCLI('alerts NVDA --max-age 60 --timeout 5 --json', { username: TEST_USER_NAME });
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    assert.deepStrictEqual(JSON.parse(stdout).topics, ['NVDA'], 'Flag values should not become topics');
+  });
+
+  it('should use the topics preference when no topics are given', () => {
+    runCLI('user info', { username: TEST_USER_NAME });
+    runCLI(`prefs update topics '["Fed", "tariffs"]'`, { username: TEST_USER_NAME });
+    const { stdout, exitCode } = runCLI('alerts --json', { username: TEST_USER_NAME });
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const data = JSON.parse(stdout);
+    assert.deepStrictEqual(data.topics, ['Fed', 'tariffs'], 'Should use saved topics');
+    const fed = data.alerts.find(a => a.guid === SHARED_STORY.guid);
+    assert.ok(fed, 'Should match the Fed story');
+    assert.deepStrictEqual(fed.sections, SHARED_STORY.sections, 'Story should be reported once with all sections');
+  });
+
+  it('should match tickers case-sensitively and words on word boundaries', () => {
+    const ticker = JSON.parse(runCLI('alerts DESK --json', { username: TEST_USER_NAME }).stdout);
+    assert.strictEqual(ticker.alerts.length, 0, 'All-caps ticker should not match lowercase "desk"');
+
+    const word = JSON.parse(runCLI('alerts desk --json', { username: TEST_USER_NAME }).stdout);
+    assert.ok(word.alerts.length > 0, 'Lowercase topic should match "desk" case-insensitively');
+
+    const partial = JSON.parse(runCLI('alerts Nvid --json', { username: TEST_USER_NAME }).stdout);
+    assert.strictEqual(partial.alerts.length, 0, 'Topic should not match inside a longer word');
+  });
+
+  it('should error with a hint when there are no topics', () => {
+    const { stderr, exitCode } = runCLI('alerts', { username: TEST_USER_NAME });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('prefs update topics'), 'Should suggest saving topics');
+  });
+
+  it('should record fired alerts in the user context', () => {
+    runCLI('alerts NVDA --json', { username: TEST_USER_NAME });
+    const creds = loadCredentials();
+    const fired = creds.users[TEST_USER_NAME].context.fired_alerts;
+
+    assert.ok(fired.NVDA && Object.keys(fired.NVDA).length > 0, 'Should store fired alerts per topic');
+  });
+
+  it('should still check the feeds when --search cannot reach Chrome', async () => {
+    // Answers /json/version, but there is no DevTools socket behind it
+    const version = join(FIXTURES_DIR, 'json-version.json');
+    writeFileSync(version, JSON.stringify({ Browser: 'FakeChrome/1.0' }));
+    const standIn = await startFeedStandIn({ 'json/version': version, 'json/version/': version });
+    try {
+      for (const [endpoint, reason] of [['http://127.0.0.1:9338', 'Chrome not running'], [standIn.baseUrl, 'Could not connect to Chrome']]) {
+        const { stdout, stderr, exitCode } = runCLI('alerts NVDA --search --reset --json', { username: TEST_USER_NAME, env: { WSJ_CDP_URL: endpoint } });
+
+        assert.strictEqual(exitCode, 0, `${reason}: should exit with code 0`);
+        assert.ok(!stderr.includes('    at '), `${reason}: should not crash with a stack trace`);
+        const data = JSON.parse(stdout);
+        assert.ok(data.alerts.length > 0 && data.alerts.every(a => a.source === 'rss'), `${reason}: should still fire the RSS alerts`);
+        const failure = data.errors.find(e => e.section === 'search');
+        assert.ok(failure?.error.includes(reason), `${reason}: should report the skipped search`);
+      }
+    } finally {
+      standIn.stop();
+    }
+  });
+});
+
+// ============================================
+// Digest Tool Tests
+// ============================================
+
+describe('Digest Tool', () => {
+  beforeEach(() => {
+    cleanupTestUsers();
+    runCLI('user info', { username: TEST_USER_NAME });
+  });
+
+  afterEach(() => {
+    cleanupTestUsers();
+  });
+
+  it('should take sections alongside fetch options', () => {
+    const { stdout, stderr, exitCode } = runCLI('digest markets tech --max-age 60 --retries 0 --json', { username: TEST_USER_NAME });
+
+    assert.strictEqual(exitCode, 0, `Should exit with code 0: ${stderr}`);
+    assert.deepStrictEqual(JSON.parse(stdout).sections, ['markets', 'tech'], 'Flag values should not become sections');
+  });
+
+  it('should rank articles by score with a breakdown', () => {
+    const { stdout, exitCode } = runCLI('digest --json', { username: TEST_USER_NAME });
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const data = JSON.parse(stdout);
+    assert.strictEqual(data.sections.length, 6, 'Should digest every section without preferences');
+    assert.strictEqual(data.articles.length, 5, 'Should default to 5 articles');
+    data.articles.forEach((article, i) => {
+      assert.strictEqual(article.rank, i + 1, 'Ranks should be sequential');
+      for (const key of ['topics', 'recency', 'section', 'coverage', 'matched_topics']) {
+        assert.ok(key in article.score_breakdown, `Breakdown should have ${key}`);
+      }
+      if (i > 0) assert.ok(data.articles[i - 1].score >= article.score, 'Should be sorted by score');
+    });
+  });
+
+  it('should use sections_of_interest and boost topic matches', () => {
+    runCLI(`prefs update sections_of_interest '["markets", "tech"]'`, { username: TEST_USER_NAME });
+    runCLI(`prefs update topics '["NVDA"]'`, { username: TEST_USER_NAME });
+    const data = JSON.parse(runCLI('digest --json', { username: TEST_USER_NAME }).stdout);
+
+    assert.deepStrictEqual(data.sections, ['markets', 'tech'], 'Should only fetch sections of interest');
+    assert.deepStrictEqual(data.topics, ['NVDA'], 'Should report the topics used');
+    const top = data.articles[0];
+    assert.ok(top.title.includes('NVDA'), 'Topic match should rank first');
+    assert.deepStrictEqual(top.score_breakdown.matched_topics, ['NVDA'], 'Should list matched topics');
+    assert.ok(top.score_breakdown.topics > 0, 'Topic component should be positive');
+  });
+
+  it('should de-duplicate and credit stories carried by several sections', () => {
+    const data = JSON.parse(runCLI('digest world us markets --limit 20 --json', { username: TEST_USER_NAME }).stdout);
+
+    const shared = data.articles.filter(a => a.guid === SHARED_STORY.guid);
+    assert.strictEqual(shared.length, 1, 'Shared story should appear once');
+    assert.ok(shared[0].score_breakdown.coverage > 0, 'Multi-section story should get a coverage score');
+  });
+
+  it('should be deterministic', () => {
+    const first = JSON.parse(runCLI('digest --json', { username: TEST_USER_NAME }).stdout);
+    const second = JSON.parse(runCLI('digest --json', { username: TEST_USER_NAME }).stdout);
+
+    assert.deepStrictEqual(first.articles.map(a => a.url), second.articles.map(a => a.url), 'Same input should give the same ranking');
+  });
+
+  it('should reject unknown sections', () => {
+    const { stderr, exitCode } = runCLI('digest nope', { username: TEST_USER_NAME });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('Unknown section'), 'Should name the problem');
+  });
+});
+
+// ============================================
+// Fixtures Tool Tests
+// ============================================
+
+describe('Fixtures Tool', () => {
+  let recordDir;
+
+  beforeEach(() => {
+    recordDir = mkdtempSync(join(tmpdir(), 'wsj-record-'));
+  });
+
+  afterEach(() => {
+    rmSync(recordDir, { recursive: true, force: true });
+  });
+
+  it('should show usage without a subcommand', () => {
+    const { stderr, exitCode } = runCLI('fixtures');
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('Usage'), 'Should show usage');
+  });
+
+  it('should record feeds and a manifest for replay', async () => {
+    const standIn = await startFeedStandIn();
+    const { exitCode } = runCLI(`fixtures record world markets --dir ${recordDir}`, { env: standIn.env });
+    standIn.stop();
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    assert.ok(existsSync(join(recordDir, 'world.xml')), 'Should write world.xml');
+    assert.ok(existsSync(join(recordDir, 'markets.xml')), 'Should write markets.xml');
+    const manifest = JSON.parse(readFileSync(join(recordDir, 'manifest.json'), 'utf-8'));
+    assert.ok(manifest.recorded_at, 'Manifest should have recorded_at');
+    assert.ok(manifest.feeds.world.items >= 6, 'Manifest should count items');
+
+    const { stdout } = runCLI('rss markets --json', { withProfile: true, env: { WSJ_FIXTURES_DIR: recordDir } });
+    const data = JSON.parse(stdout);
+    assert.ok(data.articles.some(a => a.title.includes('NVDA')), 'Should replay the recorded feed');
+  });
+
+  it('should error clearly when a section has no fixture', () => {
+    const { stderr, exitCode } = runCLI('rss tech', { withProfile: true, env: { WSJ_FIXTURES_DIR: recordDir } });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('tech.xml'), 'Should name the missing fixture file');
+  });
+
+  it('should reject unknown sections', () => {
+    const { stderr, exitCode } = runCLI(`fixtures record nope --dir ${recordDir}`);
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('Unknown section'), 'Should reject unknown section');
+  });
+});
+
+// ============================================
+// User Enforcement Tests
+// ============================================
+
+describe('User Enforcement', () => {
+  it('should require WSJ_USER for rss command', () => {
+    const { stderr, exitCode } = runCLI('rss markets', { withUser: false });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('WSJ_USER') || stderr.includes('ERROR'),
+      'Should show user required error');
+  });
+
+  it('should require WSJ_USER for read command', () => {
+    const { stderr, exitCode } = runCLI('read https://example.com', { withUser: false });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('WSJ_USER') || stderr.includes('ERROR'),
+      'Should show user required error');
+  });
+
+  it('should require WSJ_USER for search command', () => {
+    const { stderr, exitCode } = runCLI('search test', { withUser: false });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('WSJ_USER') || stderr.includes('ERROR'),
+      'Should show user required error');
+  });
+
+  it('should require WSJ_USER for prefs get command', () => {
+    const { stderr, exitCode } = runCLI('prefs get', { withUser: false });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('WSJ_USER'), 'Should mention WSJ_USER');
+  });
+
+  it('should require WSJ_USER for prefs set command', () => {
+    const json = JSON.stringify({ topics: ['test'] });
+    const { stderr, exitCode } = runCLI(`prefs set '${json}'`, { withUser: false });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('WSJ_USER'), 'Should mention WSJ_USER');
+  });
+
+  it('should require WSJ_USER for prefs update command', () => {
+    const { stderr, exitCode } = runCLI('prefs update key value', { withUser: false });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('WSJ_USER'), 'Should mention WSJ_USER');
+  });
+
+  it('should allow status command without WSJ_USER', () => {
+    const { exitCode } = runCLI('status', { withUser: false });
+
+    assert.strictEqual(exitCode, 0, 'Status should work without WSJ_USER');
+  });
+});
+
+// ============================================
+// Read Tool Tests
+// ============================================
+
+describe('Read Tool', () => {
+  it('should show usage when URL missing', () => {
+    const { stderr, exitCode } = runCLI('read', { withProfile: true });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('Usage'), 'Should show usage');
+  });
+
+  it('should accept --json flag without error in usage', () => {
+    const { stderr } = runCLI('read', { withProfile: true });
+    assert.ok(stderr.includes('--json'), 'Usage should mention --json flag');
+  });
+
+  it('should show usage when --stdin has no URLs', () => {
+    const result = spawnSync('node', [CLI, 'read', '--stdin'], {
+      encoding: 'utf-8',
+      timeout: 30000,
+      input: '\n# only a comment\n',
+      env: { ...TEST_ENV, WSJ_USER: NEWS_TEST_USER }
+    });
+
+    assert.notStrictEqual(result.status, 0, 'Should exit with non-zero code');
+    assert.ok(result.stderr.includes('--stdin'), 'Usage should mention --stdin');
+  });
+
+  it('should reject an invalid --concurrency before connecting', () => {
+    const { stderr, exitCode } = runCLI('read https://www.wsj.com/a https://www.wsj.com/b --concurrency 0', { withProfile: true });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('--concurrency'), 'Should mention --concurrency');
+  });
+
+  it('should reject --json together with --ndjson', () => {
+    const { stderr, exitCode } = runCLI('read https://www.wsj.com/a --json --ndjson', { withProfile: true });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('--ndjson'), 'Should explain the conflict');
+  });
+
+  it('should read archived URLs without Chrome and report bad URLs per URL', () => {
+    const article = seedArchive('wsj-test-read-batch', {
+      title: 'Oil Slips on Supply Outlook',
+      content: 'Oil prices slipped as producers signaled higher output.',
+      archivedAt: '2026-02-04T10:00:00.000Z'
+    });
+    try {
+      // Nothing listens on this port: neither URL may need Chrome
+      const env = { WSJ_CDP_URL: 'http://127.0.0.1:9338' };
+      const { stdout, stderr, exitCode } = runCLI(`read ${article.url} notaurl --ndjson`, { withProfile: true, env });
+
+      assert.strictEqual(exitCode, 1, 'A failed URL should exit 1');
+      const lines = stdout.trim().split('\n').map(line => JSON.parse(line));
+      assert.strictEqual(lines.length, 2, 'Should print one record per URL');
+      const read = lines.find(r => r.url === article.url);
+      assert.strictEqual(read.title, 'Oil Slips on Supply Outlook', 'Should print the archived article');
+      assert.strictEqual(read.from_archive, true, 'Should come from the archive');
+      const bad = lines.find(r => r.url === 'notaurl');
+      assert.ok(bad.error, 'Should report the bad URL');
+      assert.ok(!stderr.includes('Chrome not running'), 'Should not need Chrome');
+      assert.ok(stderr.includes('1 of 2 URLs failed'), 'Should count the failure');
+    } finally {
+      rmSync(join(ARCHIVE_DIR, `${article.id}.json`), { force: true });
+    }
+  });
+
+  it('should fail only the URLs that need Chrome when it cannot be reached', async () => {
+    // Answers /json/version, but there is no DevTools socket behind it
+    const version = join(FIXTURES_DIR, 'json-version.json');
+    writeFileSync(version, JSON.stringify({ Browser: 'FakeChrome/1.0' }));
+    const standIn = await startFeedStandIn({ 'json/version': version, 'json/version/': version });
+    const article = seedArchive('wsj-test-read-batch', {
+      title: 'Oil Slips on Supply Outlook',
+      content: 'Oil prices slipped as producers signaled higher output.',
+      archivedAt: '2026-02-04T10:00:00.000Z'
+    });
+    try {
+      const env = { WSJ_CDP_URL: standIn.baseUrl };
+      const { stdout, stderr, exitCode } = runCLI(`read ${article.url} https://www.wsj.com/articles/not-archived --json`, { withProfile: true, env });
+
+      assert.strictEqual(exitCode, 1, 'Should exit 1');
+      assert.ok(!stderr.includes('    at '), 'Should not crash with a stack trace');
+      const [read, missing] = JSON.parse(stdout);
+      assert.strictEqual(read.from_archive, true, 'Should keep the archived result');
+      assert.ok(missing.error.includes('Could not connect to Chrome'), 'Should say the connect failed');
+    } finally {
+      standIn.stop();
+      rmSync(join(ARCHIVE_DIR, `${article.id}.json`), { force: true });
+    }
+  });
+});
+
+// ============================================
+// Article Extraction Tests
+// ============================================
+
+// Run an in-page function against html the way page.evaluate does: serialized
+// into the page, result copied back as JSON. jsdom has no layout, so innerText
+// falls back to textContent and every element has a zero-size box unless
+// layout(window) patches it.
+function evaluateInPage(html, fn, { url = 'https://www.wsj.com/articles/test-story', layout } = {}) {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only' });
+  Object.defineProperty(dom.window.HTMLElement.prototype, 'innerText', { get() { return this.textContent; } });
+  if (layout) layout(dom.window);
+  return JSON.parse(JSON.stringify(dom.window.eval(`(${fn})()`)));
+}
+
+// An article page with a site nav, a sidebar and a related-stories rail, none
+// of which belong in the article
+const ARTICLE_PAGE = `<!DOCTYPE html><html><body>
+<div class="site-nav"><p>Markets, Tech, Opinion and every other section of the site are listed here.</p></div>
+<main>
+  <article>
+    <h1>Fed Holds Rates Steady</h1>
+    <p>The Federal Reserve held interest rates steady on Wednesday, as <a href="/articles/fed-minutes">minutes showed</a> officials were divided.</p>
+    <h2>What Comes Next</h2>
+    <p>Officials signaled that cuts could come later this year if inflation keeps cooling toward target.</p>
+    <ul><li>Rates unchanged</li><li>Two dissents</li></ul>
+    <blockquote>We are prepared to adjust policy as appropriate. <cite>Jerome Powell</cite></blockquote>
+    <figure>
+      <img src="https://images.wsj.net/im-1/fed.jpg" alt="Jerome Powell">
+      <figcaption>Powell at a press conference. <span class="credit">Photo: Reuters</span></figcaption>
+    </figure>
+    <figure>
+      <iframe src="https://datawrapper.dwcdn.net/abc/1/" title="Fed funds rate"></iframe>
+      <figcaption>The policy rate since 2020</figcaption>
+    </figure>
+    <p>Markets rallied after the decision, with the S&amp;P 500 closing at a record high for the week.</p>
+  </article>
+  <div class="sidebar"><p>Most popular: Five things to know about the housing market this spring.</p></div>
+  <section class="more-stories">
+    <p>Related: Treasury yields slide as traders bet on rate cuts later in the year.</p>
+    <p>Related: Why the dollar keeps falling against the yen despite the Fed.</p>
+  </section>
+</main>
+</body></html>`;
+
+describe('Article Extraction', () => {
+  it('should take blocks from the article body, not sidebars or related stories', () => {
+    const blocks = evaluateInPage(ARTICLE_PAGE, extractArticleBlocks);
+    const paragraphs = blocks.filter(b => b.type === 'paragraph').map(b => b.text);
+
+    assert.strictEqual(paragraphs.length, 3, 'Should keep only the three article paragraphs');
+    assert.ok(!paragraphs.some(p => /Most popular|Related:|every other section/.test(p)), 'Should drop page chrome');
+    assert.deepStrictEqual(blocks.map(b => b.type),
+      ['paragraph', 'heading', 'paragraph', 'list', 'quote', 'image', 'chart', 'paragraph'], 'Should keep page order');
+  });
+
+  it('should extract links, lists, quotes, images and charts', () => {
+    const blocks = evaluateInPage(ARTICLE_PAGE, extractArticleBlocks);
+    const find = (type) => blocks.find(b => b.type === type);
+
+    assert.deepStrictEqual(find('paragraph').links,
+      [{ text: 'minutes showed', url: 'https://www.wsj.com/articles/fed-minutes' }], 'Should resolve link URLs');
+    assert.deepStrictEqual(find('heading'), { type: 'heading', level: 2, text: 'What Comes Next' });
+    assert.deepStrictEqual(find('list'), { type: 'list', ordered: false, items: ['Rates unchanged', 'Two dissents'] });
+    assert.deepStrictEqual(find('quote'), { type: 'quote', text: 'We are prepared to adjust policy as appropriate.', cite: 'Jerome Powell' });
+    assert.deepStrictEqual(find('image'), {
+      type: 'image', url: 'https://images.wsj.net/im-1/fed.jpg', alt: 'Jerome Powell',
+      caption: 'Powell at a press conference.', credit: 'Photo: Reuters'
+    });
+    assert.deepStrictEqual(find('chart'), {
+      type: 'chart', url: 'https://datawrapper.dwcdn.net/abc/1/', title: 'Fed funds rate',
+      caption: 'The policy rate since 2020', credit: null
+    });
+  });
+
+  it('should fall back to the whole page when there is no article container', () => {
+    const blocks = evaluateInPage('<body><div><p>A story published without any article or section markup at all.</p></div></body>', extractArticleBlocks);
+
+    assert.strictEqual(blocks.length, 1, 'Should still find the paragraph');
+  });
+
+  it('should inline paragraph links as markdown', () => {
+    const block = {
+      type: 'paragraph',
+      text: 'Shares of Nvidia rose after earnings, and Nvidia guided higher.',
+      links: [{ text: 'Nvidia', url: 'https://www.wsj.com/market-data/quotes/NVDA' }, { text: 'guided higher', url: 'https://example.com/g' }]
+    };
+
+    assert.strictEqual(linkifyParagraph(block),
+      'Shares of [Nvidia](https://www.wsj.com/market-data/quotes/NVDA) rose after earnings, and Nvidia [guided higher](https://example.com/g).');
+    assert.strictEqual(linkifyParagraph({ text: 'No links here.', links: [{ text: 'missing', url: 'https://x' }] }), 'No links here.',
+      'Should skip links whose text is not in the paragraph');
+  });
+
+  it('should render every block type as markdown', () => {
+    const markdown = renderBlocks([
+      { type: 'heading', level: 2, text: 'What Comes Next' },
+      { type: 'paragraph', text: 'Plain text.', links: [] },
+      { type: 'list', ordered: true, items: ['One', 'Two'] },
+      { type: 'quote', text: 'Quoted.', cite: 'Someone' },
+      { type: 'image', url: 'https://img/x.jpg', alt: null, caption: 'A caption', credit: 'Photo: AP' },
+      { type: 'chart', url: 'https://charts/1', title: 'Rates', caption: null, credit: 'WSJ' },
+      { type: 'chart', url: null, title: null, caption: null, credit: null }
+    ]);
+
+    assert.strictEqual(markdown, [
+      '## What Comes Next',
+      'Plain text.',
+      '1. One\n2. Two',
+      '> Quoted.\n>\n> — Someone',
+      '![A caption](https://img/x.jpg)\n*A caption (Photo: AP)*',
+      '[Chart: Rates](https://charts/1) *(WSJ)*',
+      '*Chart: interactive graphic*'
+    ].join('\n\n'));
+  });
+});
+
+// ============================================
+// Article Access Tests
+// ============================================
+
+// Teaser page as a logged-out reader sees it: two paragraphs, a subscribe
+// prompt and schema.org isAccessibleForFree: false
+const PREVIEW_PAGE = `<!DOCTYPE html><html><head>
+<script type="application/ld+json">{"@type": "NewsArticle", "isAccessibleForFree": "False"}</script>
+</head><body><article>
+<h1>Inside the Fed's Rate Debate</h1>
+<p>Federal Reserve officials spent the week arguing about how long to hold rates where they are.</p>
+<p>Several of them said inflation data over the summer would decide the timing of any cut.</p>
+</article>
+<div class="snippet-promotion"><p>Continue reading your article with a WSJ subscription. Already a subscriber? Sign In</p></div>
+</body></html>`;
+
+describe('Article Access', () => {
+  const signals = (overrides = {}) => ({ overlay: false, prompt: false, accessibleForFree: null, ...overrides });
+
+  it('should classify a long article with no paywall signs as full', () => {
+    assert.deepStrictEqual(classifyAccess(signals(), 800), { access: 'full', access_signals: [] });
+  });
+
+  it('should classify a paywall overlay as a preview', () => {
+    assert.deepStrictEqual(classifyAccess(signals({ overlay: true }), 800),
+      { access: 'preview', access_signals: ['paywall-overlay'] });
+  });
+
+  it('should classify a sign-in prompt as a preview', () => {
+    assert.deepStrictEqual(classifyAccess(signals({ prompt: true }), 800),
+      { access: 'preview', access_signals: ['sign-in-prompt'] });
+  });
+
+  it('should ignore overlays and prompts on articles marked isAccessibleForFree', () => {
+    assert.deepStrictEqual(classifyAccess(signals({ overlay: true, prompt: true, accessibleForFree: true }), 60),
+      { access: 'full', access_signals: [] });
+  });
+
+  it('should treat a short paywalled article as truncated, at the word threshold', () => {
+    assert.deepStrictEqual(classifyAccess(signals({ accessibleForFree: false }), PREVIEW_WORD_THRESHOLD - 1),
+      { access: 'preview', access_signals: ['truncated'] });
+    assert.deepStrictEqual(classifyAccess(signals({ accessibleForFree: false }), PREVIEW_WORD_THRESHOLD),
+      { access: 'full', access_signals: [] }, 'At the threshold the article counts as full');
+  });
+
+  it('should classify a page with no article text as none', () => {
+    assert.deepStrictEqual(classifyAccess(signals({ prompt: true }), 0),
+      { access: 'none', access_signals: ['sign-in-prompt', 'no-content'] });
+  });
+
+  it('should detect the prompt, the overlay and isAccessibleForFree in the page', () => {
+    const hidden = evaluateInPage(PREVIEW_PAGE, detectPaywall);
+    assert.deepStrictEqual(hidden, { overlay: false, prompt: true, accessibleForFree: false },
+      'A zero-size overlay is not visible');
+
+    const shown = evaluateInPage(PREVIEW_PAGE, detectPaywall, {
+      layout(window) {
+        window.HTMLElement.prototype.getBoundingClientRect = () => ({ width: 600, height: 300 });
+      }
+    });
+    assert.strictEqual(shown.overlay, true, 'A visible snippet-promotion box is an overlay');
+
+    const free = evaluateInPage('<body><script type="application/ld+json">[{"isAccessibleForFree": true}]</script><p>Free story</p></body>', detectPaywall);
+    assert.deepStrictEqual(free, { overlay: false, prompt: false, accessibleForFree: true });
+  });
+
+  it('should exit 3 when read only gets a preview', async (t) => {
+    const env = { WSJ_CDP_URL: '', WSJ_CDP_PORT: '9336' };
+    const dir = mkdtempSync(join(tmpdir(), 'wsj-read-'));
+    const page = join(dir, 'preview.html');
+    writeFileSync(page, PREVIEW_PAGE);
+    const site = await startFeedStandIn({ 'preview.html': page });
+
+    try {
+      const setup = runCLI(`setup --headless --profile-dir ${join(dir, 'profile')}`, { env });
+      if (setup.exitCode !== 0 || !runCLI('status', { env }).stdout.includes('Connected: true')) {
+        t.skip('needs Chrome or Chromium (or $WSJ_CHROME_PATH)');
+        return;
+      }
+
+      const { stdout, stderr, exitCode } = runCLI(`read ${site.baseUrl}/preview.html --json`, { withUser: true, env });
+      assert.strictEqual(exitCode, 3, 'Should exit 3 for a preview');
+      const article = JSON.parse(stdout);
+      assert.strictEqual(article.access, 'preview', 'Should classify the page as a preview');
+      assert.ok(article.access_signals.includes('sign-in-prompt'), 'Should report the sign-in prompt');
+      assert.ok(stderr.includes('Log into WSJ'), 'Should tell the user to log in');
+    } finally {
+      runCLI(`setup --stop --profile-dir ${join(dir, 'profile')}`, { env });
+      site.stop();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// ============================================
+// Archive Tool Tests
+// ============================================
+
+// Write an archive entry the way `wsj read` does (id = sha1 of the canonical URL)
+function seedArchive(slug, { title, content, archivedAt, date = 'February 4, 2026' }) {
+  const url = `https://www.wsj.com/articles/${slug}`;
+  const id = createHash('sha1').update(url).digest('hex').slice(0, 12);
+  mkdirSync(ARCHIVE_DIR, { recursive: true });
+  writeFileSync(join(ARCHIVE_DIR, `${id}.json`), JSON.stringify({
+    id,
+    url,
+    title,
+    subtitle: null,
+    author: 'Test Reporter',
+    date,
+    content,
+    word_count: content.split(/\s+/).length,
+    access: 'full',
+    access_signals: [],
+    blocks: [{ type: 'paragraph', text: content, links: [] }],
+    archived_at: archivedAt
+  }));
+  return { id, url };
+}
+
+describe('Archive Tool', () => {
+  let fed;
+  let chips;
+
+  beforeEach(() => {
+    fed = seedArchive('wsj-test-archive-fed', {
+      title: 'Fed Holds Rates Steady',
+      content: 'The central bank left its benchmark unchanged as inflation cooled further.',
+      archivedAt: '2026-02-04T10:00:00.000Z'
+    });
+    chips = seedArchive('wsj-test-archive-chips', {
+      title: 'Chip Stocks Rally on AI Demand',
+      content: 'Semiconductor shares climbed. Traders also bet the Fed would cut rates before summer, lifting growth stocks.',
+      archivedAt: '2026-02-05T10:00:00.000Z'
+    });
+  });
+
+  afterEach(() => {
+    for (const { id } of [fed, chips]) rmSync(join(ARCHIVE_DIR, `${id}.json`), { force: true });
+  });
+
+  it('should list archived articles newest first', () => {
+    const { stdout, exitCode } = runCLI('archive list --json', { withProfile: true });
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const ids = JSON.parse(stdout).articles.map(a => a.id);
+    assert.ok(ids.indexOf(chips.id) < ids.indexOf(fed.id), 'Newer archive entry should come first');
+  });
+
+  it('should show an article by id or by URL variant', () => {
+    const byId = JSON.parse(runCLI(`archive show ${fed.id} --json`, { withProfile: true }).stdout);
+    assert.strictEqual(byId.title, 'Fed Holds Rates Steady', 'Should find by id');
+
+    const byUrl = JSON.parse(runCLI(`archive show ${fed.url}?mod=hp_lead --json`, { withProfile: true }).stdout);
+    assert.strictEqual(byUrl.id, fed.id, 'Tracking parameters should not matter');
+  });
+
+  it('should rank title matches above body matches', () => {
+    const { stdout, exitCode } = runCLI('archive search "fed rates" --json', { withProfile: true });
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const data = JSON.parse(stdout);
+    const ids = data.results.map(r => r.id);
+    assert.ok(ids.includes(fed.id) && ids.includes(chips.id), 'Both articles mention the terms');
+    assert.ok(ids.indexOf(fed.id) < ids.indexOf(chips.id), 'Title match should rank first');
+    assert.ok(data.results.every(r => typeof r.score === 'number' && r.snippet), 'Results should have score and snippet');
+  });
+
+  it('should serve wsj read from the archive without Chrome', () => {
+    const { stdout, exitCode } = runCLI(`read ${fed.url} --json`, { withProfile: true });
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const data = JSON.parse(stdout);
+    assert.strictEqual(data.from_archive, true, 'Should be served from the archive');
+    assert.strictEqual(data.access, 'full', 'Archived articles are full reads');
+  });
+
+  it('should show usage for search without a query', () => {
+    const { stderr, exitCode } = runCLI('archive search', { withProfile: true });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('Usage'), 'Should show usage');
+  });
+
+  it('should remove articles and report unknown ones', () => {
+    const removed = runCLI(`archive rm ${chips.id}`, { withProfile: true });
+    assert.strictEqual(removed.exitCode, 0, 'Should remove an archived article');
+    assert.ok(!existsSync(join(ARCHIVE_DIR, `${chips.id}.json`)), 'File should be gone');
+
+    const missing = runCLI(`archive rm ${chips.id}`, { withProfile: true });
+    assert.notStrictEqual(missing.exitCode, 0, 'Should fail for an unknown article');
+  });
+});
+
+// ============================================
+// Export Tool Tests
+// ============================================
+
+describe('Export Tool', () => {
+  let article;
+  let outDir;
+
+  beforeEach(() => {
+    article = seedArchive('wsj-test-export', {
+      title: 'Fed Holds Rates & Signals Patience',
+      content: 'The central bank left its benchmark unchanged as inflation cooled further.',
+      archivedAt: '2026-02-04T10:00:00.000Z'
+    });
+    outDir = mkdtempSync(join(tmpdir(), 'wsj-export-'));
+  });
+
+  afterEach(() => {
+    rmSync(join(ARCHIVE_DIR, `${article.id}.json`), { force: true });
+    rmSync(outDir, { recursive: true, force: true });
+  });
+
+  it('should export an archived article to markdown', () => {
+    const out = join(outDir, 'article.md');
+    const { exitCode } = runCLI(`export ${article.id} --out ${out}`, { withProfile: true });
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const md = readFileSync(out, 'utf-8');
+    assert.ok(md.startsWith('# Fed Holds Rates & Signals Patience'), 'Should start with the title');
+    assert.ok(md.includes('By Test Reporter'), 'Should include the byline');
+    assert.ok(md.includes(article.url), 'Should link the source');
+    assert.ok(md.includes('inflation cooled further'), 'Should include the body');
+  });
+
+  it('should export escaped, self-contained HTML', () => {
+    const out = join(outDir, 'article.html');
+    runCLI(`export ${article.id} --out ${out}`, { withProfile: true });
+    const html = readFileSync(out, 'utf-8');
+
+    assert.ok(html.startsWith('<!DOCTYPE html>'), 'Should be an HTML document');
+    assert.ok(html.includes('<h1>Fed Holds Rates &amp; Signals Patience</h1>'), 'Should escape the title');
+    assert.ok(html.includes('<style>'), 'Should inline its styles');
+  });
+
+  it('should export a valid EPUB container', () => {
+    const out = join(outDir, 'book.epub');
+    const { exitCode } = runCLI(`export ${article.id} ${article.url} --format epub --out ${out}`, { withProfile: true });
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const epub = readFileSync(out);
+    assert.strictEqual(epub.readUInt32LE(0), 0x04034b50, 'Should be a ZIP file');
+    assert.strictEqual(epub.readUInt16LE(8), 0, 'mimetype should be stored uncompressed');
+    assert.strictEqual(epub.toString('latin1', 30, 38), 'mimetype', 'mimetype should be the first entry');
+    assert.strictEqual(epub.toString('latin1', 38, 58), 'application/epub+zip', 'Should declare the EPUB mimetype');
+    for (const name of ['META-INF/container.xml', 'OEBPS/content.opf', 'OEBPS/nav.xhtml', 'OEBPS/article-2.xhtml']) {
+      assert.ok(epub.includes(name), `Should contain ${name}`);
+    }
+  });
+
+  it('should write ZIP entries with correct sizes and CRCs', () => {
+    const out = join(outDir, 'book.epub');
+    runCLI(`export ${article.id} --format epub --out ${out}`, { withProfile: true });
+    const zip = readFileSync(out);
+
+    // Walk the central directory from the end record and check each entry
+    // against its local header and its data
+    const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    assert.ok(end > 0, 'Should have an end of central directory record');
+    const count = zip.readUInt16LE(end + 10);
+    let pos = zip.readUInt32LE(end + 16);
+    const names = [];
+    for (let i = 0; i < count; i++) {
+      assert.strictEqual(zip.readUInt32LE(pos), 0x02014b50, 'Should be a central directory header');
+      const method = zip.readUInt16LE(pos + 10);
+      const crc = zip.readUInt32LE(pos + 16);
+      const size = zip.readUInt32LE(pos + 20);
+      const nameLength = zip.readUInt16LE(pos + 28);
+      const offset = zip.readUInt32LE(pos + 42);
+      const name = zip.toString('utf-8', pos + 46, pos + 46 + nameLength);
+      names.push(name);
+
+      assert.strictEqual(zip.readUInt32LE(offset), 0x04034b50, `${name}: should point at a local header`);
+      assert.strictEqual(zip.readUInt16LE(offset + 8), method, `${name}: local and central method should agree`);
+      assert.strictEqual(zip.readUInt32LE(offset + 14), crc, `${name}: local and central CRC should agree`);
+      const start = offset + 30 + zip.readUInt16LE(offset + 26) + zip.readUInt16LE(offset + 28);
+      const body = zip.subarray(start, start + size);
+      const data = method === 0 ? body : inflateRawSync(body);
+      assert.strictEqual(data.length, zip.readUInt32LE(pos + 24), `${name}: uncompressed size should match`);
+      assert.strictEqual(crc32(data), crc, `${name}: CRC should match the data`);
+      if (name === 'mimetype') assert.strictEqual(method, 0, 'mimetype should be stored uncompressed');
+
+      pos += 46 + nameLength + zip.readUInt16LE(pos + 30) + zip.readUInt16LE(pos + 32);
+    }
+    assert.strictEqual(names[0], 'mimetype', 'mimetype should be the first entry');
+    assert.ok(names.includes('OEBPS/content.opf'), 'Should list the package document');
+  });
+
+  it('should fail cleanly when Chrome cannot be reached for a PDF', async () => {
+    // Answers /json/version, but there is no DevTools socket behind it
+    const version = join(FIXTURES_DIR, 'json-version.json');
+    writeFileSync(version, JSON.stringify({ Browser: 'FakeChrome/1.0' }));
+    const standIn = await startFeedStandIn({ 'json/version': version, 'json/version/': version });
+    try {
+      const out = join(outDir, 'article.pdf');
+      const { stderr, exitCode } = runCLI(`export ${article.id} --out ${out}`, { withProfile: true, env: { WSJ_CDP_URL: standIn.baseUrl } });
+
+      assert.strictEqual(exitCode, 1, 'Should exit with code 1');
+      assert.ok(stderr.includes('Could not connect to Chrome'), 'Should say the connect failed');
+      assert.ok(!stderr.includes('    at '), 'Should not crash with a stack trace');
+      assert.ok(!existsSync(out), 'Should not write the file');
+    } finally {
+      standIn.stop();
+    }
+  });
+
+  it('should exit non-zero when the export cannot be written', () => {
+    const { stderr, exitCode } = runCLI(`export ${article.id} --out ${join(outDir, 'missing', 'x.md')}`, { withProfile: true });
+
+    assert.strictEqual(exitCode, 1, 'Should exit with code 1');
+    assert.ok(stderr.includes('Error:'), 'Should report the error');
+  });
+
+  it('should reject unknown archive ids and formats', () => {
+    const missing = runCLI(`export 0123456789ab --out ${join(outDir, 'x.md')}`, { withProfile: true });
+    assert.notStrictEqual(missing.exitCode, 0, 'Should fail for an unknown id');
+    assert.ok(missing.stderr.includes('Not in archive'), 'Should name the problem');
+
+    const format = runCLI(`export ${article.id} --out ${join(outDir, 'x.docx')}`, { withProfile: true });
+    assert.notStrictEqual(format.exitCode, 0, 'Should fail for an unknown format');
+    assert.ok(format.stderr.includes('format'), 'Should mention the format');
+  });
+
+  it('should show usage without a format or output file', () => {
+    const { stderr, exitCode } = runCLI(`export ${article.id}`, { withProfile: true });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('Usage'), 'Should show usage');
+  });
+});
+
+// ============================================
+// Search Tool Tests
+// ============================================
+
+describe('Search Tool', () => {
+  it('should show usage when query missing', () => {
+    const { stderr, exitCode } = runCLI('search', { withProfile: true });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('Usage'), 'Should show usage');
+  });
+
+  it('should accept --json flag without error in usage', () => {
+    const { stderr } = runCLI('search', { withProfile: true });
+    assert.ok(stderr.includes('--json'), 'Usage should mention --json flag');
+  });
+
+  it('should validate paging and filter flags before connecting to Chrome', () => {
+    const cases = [
+      ['--page 0', '--page'],
+      ['--limit 500', '--limit'],
+      ['--from yesterday', '--from'],
+      ['--from 2026-02-04 --to 2026-02-01', '--from'],
+      ['--sort oldest', '--sort'],
+      ['--section gossip', '--section'],
+      ['--type podcast-ish', '--type'],
+      ['--source bing', '--source']
+    ];
+    for (const [flags, mentioned] of cases) {
+      const { stderr, exitCode } = runCLI(`search fed ${flags}`, { withProfile: true });
+      assert.notStrictEqual(exitCode, 0, `${flags} should be rejected`);
+      assert.ok(stderr.includes(mentioned), `${flags} should mention ${mentioned}`);
+      assert.ok(!stderr.includes('CDP'), `${flags} should fail before connecting to Chrome`);
+    }
+  });
+
+  it('should search RSS items with --source rss', () => {
+    const { stdout, exitCode } = runCLI('search Nvidia --source rss --json', { withProfile: true });
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0 without Chrome');
+    const data = JSON.parse(stdout);
+    assert.deepStrictEqual(data.sources, ['rss'], 'Should report the backend');
+    assert.ok(data.results.length > 0, 'Should find the Nvidia stories');
+    assert.ok(data.results[0].title.startsWith('Nvidia'), 'Best match should be about Nvidia');
+    for (const r of data.results) {
+      assert.strictEqual(r.source, 'rss', 'Each result should be labeled with its source');
+      assert.ok(typeof r.score === 'number', 'Local results should have a score');
+      assert.ok(!isNaN(Date.parse(r.pubDate)), 'RSS results should have a pubDate');
+    }
+  });
+
+  it('should page local results', () => {
+    const first = JSON.parse(runCLI('search desk --source rss --limit 2 --json', { withProfile: true }).stdout);
+    const second = JSON.parse(runCLI('search desk --source rss --limit 2 --page 2 --json', { withProfile: true }).stdout);
+
+    assert.ok(first.total > 4, 'Every fixture description mentions the desk');
+    assert.strictEqual(second.page, 2, 'Should report the page');
+    assert.strictEqual(second.results.length, 2, 'Should return a full page');
+    assert.strictEqual(second.has_more, true, 'More pages should follow');
+    assert.ok(!first.results.some(a => second.results.some(b => a.url === b.url)), 'Pages should not overlap');
+  });
+
+  it('should search the archive with --source archive', () => {
+    const article = seedArchive('wsj-test-search-archive', {
+      title: 'Copper Prices Hit Record',
+      content: 'Copper rallied to a record as smelters cut output and demand from grid projects grew.',
+      archivedAt: '2026-02-04T10:00:00.000Z'
+    });
+    try {
+      const { stdout, exitCode } = runCLI('search copper smelters --source archive --json', { withProfile: true });
+
+      assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+      const data = JSON.parse(stdout);
+      const hit = data.results.find(r => r.url === article.url);
+      assert.ok(hit, 'Should find the archived article');
+      assert.strictEqual(hit.source, 'archive', 'Should be labeled as an archive result');
+      assert.ok(hit.snippet.includes('smelters'), 'Snippet should show the match');
+    } finally {
+      rmSync(join(ARCHIVE_DIR, `${article.id}.json`), { force: true });
+    }
+  });
+
+  it('should fall back to local sources when Chrome is unavailable', () => {
+    // Nothing listens on this port, so auto must fall back
+    const env = { WSJ_CDP_URL: 'http://127.0.0.1:9338' };
+    const { stdout, exitCode } = runCLI('search Nvidia --json', { withProfile: true, env });
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const data = JSON.parse(stdout);
+    assert.strictEqual(data.fallback, true, 'Should report the fallback');
+    assert.deepStrictEqual(data.sources, ['rss', 'archive'], 'Fallback should use RSS and the archive');
+    assert.ok(data.results.length > 0, 'Should find the Nvidia stories in the feeds');
+    assert.ok(data.results.every(r => r.source === 'rss' || r.source === 'archive'), 'Results should come from the local sources');
+
+    const text = runCLI('search Nvidia', { withProfile: true, env });
+    assert.ok(text.stderr.includes('searching RSS feeds and the local archive instead'), 'Should tell the user about the fallback');
+  });
+
+  it('should sort archived articles without a usable date last with --sort newest', () => {
+    const dated = seedArchive('wsj-test-search-dated', {
+      title: 'Cobalt Miners Expand',
+      content: 'Cobalt miners expanded output as battery makers signed new contracts.',
+      archivedAt: '2026-02-04T10:00:00.000Z'
+    });
+    const undated = [
+      seedArchive('wsj-test-search-undated-b', {
+        title: 'Cobalt Cobalt Shortage Looms',
+        content: 'Cobalt buyers worry about cobalt supply.',
+        archivedAt: '2026-02-05T10:00:00.000Z',
+        date: 'Updated sometime'
+      }),
+      seedArchive('wsj-test-search-undated-a', {
+        title: 'Cobalt Shortage Looms',
+        content: 'Cobalt buyers worry about cobalt supply.',
+        archivedAt: '2026-02-06T10:00:00.000Z',
+        date: ''
+      })
+    ];
+    try {
+      const { stdout, exitCode } = runCLI('search cobalt --source archive --sort newest --json', { withProfile: true });
+
+      assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+      const results = JSON.parse(stdout).results.filter(r => [dated, ...undated].some(a => a.url === r.url));
+      assert.deepStrictEqual(results.map(r => r.url), [dated.url, undated[0].url, undated[1].url],
+        'Dated first, then undated by score');
+      assert.strictEqual(results[1].pubDate, null, 'Unparsed dates should stay null');
+    } finally {
+      for (const a of [dated, ...undated]) rmSync(join(ARCHIVE_DIR, `${a.id}.json`), { force: true });
+    }
+  });
+
+  it('should save, list, update and remove saved searches', () => {
+    try {
+      const saved = runCLI('search save fed-test "Federal Reserve" --sort newest --from 7d', { withProfile: true });
+      assert.strictEqual(saved.exitCode, 0, 'Should save the search');
+
+      const list = JSON.parse(runCLI('search list --json', { withProfile: true }).stdout);
+      const fed = list.searches.find(s => s.name === 'fed-test');
+      assert.strictEqual(fed.query, 'Federal Reserve', 'Should store the query');
+      assert.deepStrictEqual(fed.filters, { from: '7d', sort: 'newest' }, 'Should keep filters as typed');
+      assert.strictEqual(fed.runs, 0, 'A new search has no runs');
+
+      const updated = runCLI('search save fed-test "Federal Reserve rates"', { withProfile: true });
+      assert.ok(updated.stdout.includes('Updated'), 'Saving an existing name should update it');
+    } finally {
+      runCLI('search rm fed-test', { withProfile: true });
+    }
+    const list = JSON.parse(runCLI('search list --json', { withProfile: true }).stdout);
+    assert.ok(!list.searches.some(s => s.name === 'fed-test'), 'Removed search should not be listed');
+  });
+
+  it('should keep run history when the same search is saved again', () => {
+    try {
+      runCLI('search save fed-test Fed --source rss', { withProfile: true });
+      const run = runCLI('search run fed-test --json', { withProfile: true });
+      assert.strictEqual(run.exitCode, 0, `Should run from RSS: ${run.stderr}`);
+      assert.ok(JSON.parse(run.stdout).results.length > 0, 'The first run should find the Fed stories');
+      const runs = () => JSON.parse(runCLI('search list --json', { withProfile: true }).stdout).searches.find(s => s.name === 'fed-test').runs;
+      assert.strictEqual(runs(), 1, 'Should record the run');
+
+      runCLI('search save fed-test Fed --source rss', { withProfile: true });
+      assert.strictEqual(runs(), 1, 'Re-saving the same search should keep its history');
+      const again = JSON.parse(runCLI('search run fed-test --json', { withProfile: true }).stdout);
+      assert.strictEqual(again.results.length, 0, 'Results seen before the re-save should not be new');
+
+      runCLI('search save fed-test Fed --source rss --sort newest', { withProfile: true });
+      assert.strictEqual(runs(), 0, 'Changing the search should start from scratch');
+    } finally {
+      runCLI('search rm fed-test', { withProfile: true });
+    }
+  });
+
+  it('should validate saved searches without Chrome', () => {
+    for (const args of ['save "Bad Name" fed', 'save fed-test fed --page 2', 'save fed-test fed --sort oldest', 'save fed-test']) {
+      const { exitCode } = runCLI(`search ${args}`, { withProfile: true });
+      assert.notStrictEqual(exitCode, 0, `"search ${args}" should be rejected`);
+    }
+
+    const run = runCLI('search run no-such-search', { withProfile: true });
+    assert.notStrictEqual(run.exitCode, 0, 'Running an unknown search should fail');
+    assert.ok(run.stderr.includes('No saved search'), 'Should explain the problem');
+    assert.ok(!run.stderr.includes('CDP'), 'Should fail before connecting to Chrome');
+
+    const rm = runCLI('search rm no-such-search', { withProfile: true });
+    assert.notStrictEqual(rm.exitCode, 0, 'Removing an unknown search should fail');
+  });
+
+  it('should not treat flag values as part of the query', () => {
+    const { stderr, exitCode } = runCLI('search --sort newest --limit 5', { withProfile: true });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('Usage'), 'A query made only of flags should show usage');
+  });
+});
+
+// ============================================
+// Search Result Tests
+// ============================================
+
+// A search page: site header and nav with their own headings, two result
+// cards whose headlines sit in <article><header>, and a promo
+const SEARCH_PAGE = `<!DOCTYPE html><html><body>
+<header><h2><a href="https://www.wsj.com/">The Wall Street Journal Home Page</a></h2></header>
+<nav><h3><a href="https://www.wsj.com/news/markets">Markets and Finance News</a></h3></nav>
+<main>
+  <p>1,234 results</p>
+  <article>
+    <header>
+      <span class="flashline">Central Banking</span>
+      <h3><a href="https://www.wsj.com/economy/central-banking/fed-holds-rates-steady-1a2b3c">Fed Holds Rates Steady as Inflation Cools</a></h3>
+    </header>
+    <p>Officials signaled patience on cuts as price growth slowed for a third month.</p>
+    <p class="byline">By Nick Timiraos</p>
+    <p><span>Feb. 4, 2026 10:32 am ET</span></p>
+  </article>
+  <article>
+    <header><h3><a href="https://www.wsj.com/video/series/markets/why-the-dollar-keeps-falling-4d5e6f">Why the Dollar Keeps Falling</a></h3></header>
+    <time datetime="2026-02-03T14:00:00Z">Feb. 3, 2026</time>
+  </article>
+  <div class="promo-banner"><h3><a href="https://www.wsj.com/subscribe">Subscribe to the WSJ today</a></h3></div>
+  <a rel="next" href="?page=2">Next</a>
+</main>
+</body></html>`;
+
+describe('Search Results', () => {
+  it('should scrape result cards whose headlines sit in an article header', () => {
+    const { items, total, hasNext } = evaluateInPage(SEARCH_PAGE, scrapeSearchResults, { url: 'https://www.wsj.com/search?query=fed' });
+
+    assert.deepStrictEqual(items.map(i => i.title), ['Fed Holds Rates Steady as Inflation Cools', 'Why the Dollar Keeps Falling'],
+      'Should keep both cards and skip the site header, nav and promo');
+    assert.deepStrictEqual(items[0], {
+      title: 'Fed Holds Rates Steady as Inflation Cools',
+      snippet: 'Officials signaled patience on cuts as price growth slowed for a third month.',
+      url: 'https://www.wsj.com/economy/central-banking/fed-holds-rates-steady-1a2b3c',
+      date: 'Feb. 4, 2026 10:32 am ET',
+      author: 'By Nick Timiraos',
+      section: 'Central Banking',
+      typeLabel: null,
+      image: null
+    });
+    assert.strictEqual(items[1].date, '2026-02-03T14:00:00Z', 'Should prefer the datetime attribute');
+    assert.strictEqual(total, 1234, 'Should read the result count');
+    assert.strictEqual(hasNext, true, 'Should see the next-page link');
+  });
+
+  it('should know the New York UTC offset on either side of each DST switch', () => {
+    assert.strictEqual(easternOffsetMinutes(Date.UTC(2026, 0, 15, 12)), -300, 'January is EST');
+    assert.strictEqual(easternOffsetMinutes(Date.UTC(2026, 6, 1, 12)), -240, 'July is EDT');
+    // 2026-03-08 2:00 am EST and 2026-11-01 2:00 am EDT
+    assert.strictEqual(easternOffsetMinutes(Date.UTC(2026, 2, 8, 6, 59)), -300);
+    assert.strictEqual(easternOffsetMinutes(Date.UTC(2026, 2, 8, 7, 0)), -240);
+    assert.strictEqual(easternOffsetMinutes(Date.UTC(2026, 10, 1, 5, 59)), -240);
+    assert.strictEqual(easternOffsetMinutes(Date.UTC(2026, 10, 1, 6, 0)), -300);
+  });
+
+  it('should parse WSJ dates as Eastern time, including just after a DST switch', () => {
+    assert.strictEqual(parseSearchDate('Feb. 4, 2026 10:32 am ET'), '2026-02-04T15:32:00.000Z');
+    assert.strictEqual(parseSearchDate('July 4, 2026 12:05 pm ET'), '2026-07-04T16:05:00.000Z');
+    assert.strictEqual(parseSearchDate('Mar. 8, 2026 3:00 am ET'), '2026-03-08T07:00:00.000Z', 'First hour of EDT');
+    assert.strictEqual(parseSearchDate('Nov. 1, 2026 3:00 am ET'), '2026-11-01T08:00:00.000Z', 'First hours of EST');
+    assert.strictEqual(parseSearchDate('Nov. 1, 2026'), '2026-11-01T04:00:00.000Z', 'A bare date is Eastern midnight');
+  });
+
+  it('should parse ISO, epoch and relative dates, and reject the rest', () => {
+    assert.strictEqual(parseSearchDate('2026-02-03T14:00:00Z'), '2026-02-03T14:00:00.000Z');
+    assert.strictEqual(parseSearchDate('1770127200'), '2026-02-03T14:00:00.000Z', 'Epoch seconds');
+    assert.strictEqual(parseSearchDate('1770127200000'), '2026-02-03T14:00:00.000Z', 'Epoch milliseconds');
+    const ago = Date.now() - new Date(parseSearchDate('3 hours ago')).getTime();
+    assert.ok(Math.abs(ago - 3 * 60 * 60 * 1000) < 60000, '"3 hours ago" should be three hours back');
+    assert.strictEqual(parseSearchDate('Updated recently'), null);
+    assert.strictEqual(parseSearchDate(null), null);
+  });
+
+  it('should tell stories from section fronts and other pages', () => {
+    assert.strictEqual(isStoryURL('https://www.wsj.com/articles/fed-holds-rates-steady-1a2b3c'), true);
+    assert.strictEqual(isStoryURL('https://www.wsj.com/economy/central-banking/fed-holds-rates-steady-1a2b3c'), true);
+    assert.strictEqual(isStoryURL('https://www.wsj.com/video/series/markets/why-the-dollar-keeps-falling-4d5e6f'), true);
+    assert.strictEqual(isStoryURL('https://www.wsj.com/news/markets'), false, 'Section front');
+    assert.strictEqual(isStoryURL('https://www.wsj.com/subscribe'), false, 'Subscribe page');
+    assert.strictEqual(isStoryURL('https://example.com/articles/fed-holds-rates-steady'), false, 'Other site');
+    assert.strictEqual(isStoryURL('not a url'), false);
+  });
+
+  it('should type results from the URL, then the card label', () => {
+    assert.strictEqual(searchResultType('https://www.wsj.com/video/series/x/clip-1-2', null), 'video');
+    assert.strictEqual(searchResultType('https://www.wsj.com/podcasts/the-journal/ep-1-2', null), 'audio');
+    assert.strictEqual(searchResultType('https://www.wsj.com/graphics/rates-tracker', null), 'interactive');
+    assert.strictEqual(searchResultType('https://www.wsj.com/articles/a-b-c', 'Podcast'), 'audio');
+    assert.strictEqual(searchResultType('https://www.wsj.com/articles/a-b-c', 'Listen to article'), 'article',
+      'Articles have Listen buttons; only podcast/audio labels mean audio');
+  });
+
+  it('should shape a scraped card like an RSS article', () => {
+    const result = searchResult({
+      title: 'Nvidia (NVDA) Shares Climb on AI Demand',
+      url: 'https://www.wsj.com/tech/ai/nvidia-shares-climb-1a2b3c',
+      snippet: 'The chip maker rallied.',
+      date: '2026-02-03T14:00:00Z',
+      author: 'By Asa Fitch',
+      section: null,
+      typeLabel: null,
+      image: 'https://images.wsj.net/im-2/nvda.jpg'
+    });
+
+    assert.strictEqual(result.section, 'Technology', 'Should fall back to the section from the URL');
+    assert.strictEqual(result.author, 'Asa Fitch', 'Should drop "By"');
+    assert.strictEqual(result.type, 'article');
+    assert.strictEqual(result.pubDate, '2026-02-03T14:00:00.000Z');
+    assert.ok(result.age, 'Should format an age');
+    assert.deepStrictEqual(result.entities.tickers, ['NVDA'], 'Should extract entities');
+  });
+});
+
+describe('Search URL', () => {
+  // The wsj.com/search URL that `wsj search "fed rates" <flags>` loads for a site page
+  const urlFor = (flags, sitePage = 1) => searchURL('fed rates', parseSearchOptions(parseArgs(flags)), sitePage);
+  const BASE = 'https://www.wsj.com/search?query=fed+rates';
+
+  it('should send only the query without flags', () => {
+    assert.strictEqual(urlFor(''), BASE);
+  });
+
+  it('should map --sort to WSJ sort values', () => {
+    assert.strictEqual(urlFor('--sort newest'), `${BASE}&sort=date-desc`);
+    assert.strictEqual(urlFor('--sort relevance'), `${BASE}&sort=relevance`);
+  });
+
+  it('should map --from and --to to a toggled date range', () => {
+    assert.strictEqual(urlFor('--from 2026-02-01'), `${BASE}&isToggleOn=true&startDate=2026%2F02%2F01`);
+    assert.strictEqual(urlFor('--to 2026-02-04T23:00:00Z'), `${BASE}&isToggleOn=true&endDate=2026%2F02%2F04`);
+    assert.strictEqual(urlFor('--from 2026-02-01 --to 2026-02-04'),
+      `${BASE}&isToggleOn=true&startDate=2026%2F02%2F01&endDate=2026%2F02%2F04`);
+  });
+
+  it('should map --section and --type to WSJ names', () => {
+    assert.strictEqual(urlFor('--section us'), `${BASE}&section=U.S.`);
+    assert.strictEqual(urlFor('--section arts-culture'), `${BASE}&section=Arts+%26+Culture`);
+    assert.strictEqual(urlFor('--type video'), `${BASE}&contentType=video`);
+  });
+
+  it('should add the site page only after the first', () => {
+    assert.strictEqual(urlFor('', 1), BASE);
+    assert.strictEqual(urlFor('', 3), `${BASE}&page=3`);
+  });
+
+  it('should find the site pages that hold a --page of --limit results', () => {
+    assert.deepStrictEqual(searchSiteWindow(1, 10), { offset: 0, firstSitePage: 1, start: 0, end: 10 });
+    assert.deepStrictEqual(searchSiteWindow(3, 10), { offset: 20, firstSitePage: 2, start: 0, end: 10 }, 'Starts on site page 2');
+    assert.deepStrictEqual(searchSiteWindow(2, 15), { offset: 15, firstSitePage: 1, start: 15, end: 30 }, 'Spans site pages 1 and 2');
+    assert.deepStrictEqual(searchSiteWindow(1, 100), { offset: 0, firstSitePage: 1, start: 0, end: 100 }, 'Spans five site pages');
+  });
+
+  it('should combine every flag in a fixed order', () => {
+    const { page, limit } = parseSearchOptions(parseArgs('--page 3 --limit 10'));
+    const url = urlFor('--type article --section markets --to 2026-02-04 --from 2026-02-01 --sort newest --page 3 --limit 10',
+      searchSiteWindow(page, limit).firstSitePage);
+
+    assert.strictEqual(url, `${BASE}&sort=date-desc&isToggleOn=true&startDate=2026%2F02%2F01&endDate=2026%2F02%2F04` +
+      '&section=Markets&contentType=article&page=2');
+  });
+});
+
+// ============================================
+// Status Tool Tests
+// ============================================
+
+describe('Status Tool', () => {
+  it('should show connection status', () => {
+    const { stdout, exitCode } = runCLI('status');
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    assert.ok(stdout.includes('Connected:'), 'Should show connection status');
+  });
+
+  it('should show port when connected', () => {
+    const { stdout } = runCLI('status');
+
+    assert.ok(stdout.includes('Port:') || stdout.includes('wsj setup'),
+      'Should show port or setup instructions');
+  });
+
+  it('should use the endpoint from $WSJ_CDP_PORT or $WSJ_CDP_URL', () => {
+    const byPort = runCLI('status', { env: { WSJ_CDP_PORT: '9339' } });
+    assert.strictEqual(byPort.exitCode, 0, 'Should exit with code 0');
+    assert.ok(byPort.stdout.includes('http://127.0.0.1:9339'), 'Should check the given port');
+
+    const byURL = runCLI('status', { env: { WSJ_CDP_URL: 'ws://127.0.0.1:9/devtools/browser/abc' } });
+    assert.strictEqual(byURL.exitCode, 0, 'Should exit with code 0');
+    assert.ok(byURL.stdout.includes('Connected: false'), 'Nothing listens on the ws:// endpoint');
+    assert.ok(byURL.stdout.includes('ws://127.0.0.1:9/devtools/browser/abc'), 'Should show the ws:// endpoint');
+  });
+
+  it('should report status as JSON with login state unknown when disconnected', () => {
+    const { stdout, exitCode } = runCLI('status --json', { env: { WSJ_CDP_URL: '', WSJ_CDP_PORT: '9339' } });
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const data = JSON.parse(stdout);
+    assert.strictEqual(data.connected, false, 'Nothing listens on port 9339');
+    assert.strictEqual(data.endpoint, 'http://127.0.0.1:9339', 'Should include the endpoint');
+    assert.strictEqual(data.logged_in, null, 'Login state is unknown without Chrome');
+    assert.deepStrictEqual(data.login_cookies, [], 'Should have no login cookies');
+  });
+
+  it('should reject an invalid CDP port or URL', () => {
+    const port = runCLI('status', { env: { WSJ_CDP_PORT: '99999' } });
+    assert.notStrictEqual(port.exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(port.stderr.includes('WSJ_CDP_PORT'), 'Should name the variable');
+
+    const url = runCLI('status', { env: { WSJ_CDP_URL: 'ftp://127.0.0.1:9222' } });
+    assert.notStrictEqual(url.exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(url.stderr.includes('WSJ_CDP_URL'), 'Should name the variable');
+  });
+
+  it('should read the CDP port from config.json, below the environment', () => {
+    const original = existsSync(CONFIG_FILE) ? readFileSync(CONFIG_FILE, 'utf-8') : null;
+    try {
+      mkdirSync(CONFIG_DIR, { recursive: true });
+      writeFileSync(CONFIG_FILE, JSON.stringify({ cdp_port: 9444 }));
+      const env = { WSJ_CDP_URL: '', WSJ_CDP_PORT: '' };
+      assert.ok(runCLI('status', { env }).stdout.includes('http://127.0.0.1:9444'), 'Should use cdp_port');
+
+      env.WSJ_CDP_PORT = '9555';
+      assert.ok(runCLI('status', { env }).stdout.includes('http://127.0.0.1:9555'), '$WSJ_CDP_PORT should win');
+    } finally {
+      if (original === null) rmSync(CONFIG_FILE, { force: true });
+      else writeFileSync(CONFIG_FILE, original);
+    }
+  });
+
+  // Cookies as CDP returns them: expires in seconds, -1 for session cookies
+  const NOW = Date.parse('2026-02-04T12:00:00Z');
+  const cookie = (name, expires) => ({ name, value: 'x', domain: '.wsj.com', expires });
+  const inDays = days => NOW / 1000 + days * 86400;
+
+  it('should be logged in with the sign-in cookies and report the latest expiry', () => {
+    const state = wsjLoginState([cookie('djcs_session', inDays(1)), cookie('djcs_auto', inDays(30)), cookie('wsjregion', inDays(90))], [], NOW);
+
+    assert.strictEqual(state.logged_in, true, 'Should be logged in');
+    assert.deepStrictEqual(state.cookies, ['djcs_session', 'djcs_auto'], 'Should list only the sign-in cookies');
+    assert.strictEqual(state.expires, new Date(inDays(30) * 1000).toISOString(), 'Should take the latest expiry');
+    assert.strictEqual(state.subscription, null, 'No open tab names a tier');
+  });
+
+  it('should be logged out without sign-in cookies', () => {
+    const state = wsjLoginState([cookie('wsjregion', inDays(90)), cookie('ab_uuid', -1)], [], NOW);
+
+    assert.deepStrictEqual(state, { logged_in: false, cookies: [], expires: null, subscription: null });
+  });
+
+  it('should ignore expired sign-in cookies', () => {
+    const state = wsjLoginState([cookie('djcs_session', inDays(-1)), cookie('djcs_auto', inDays(-30))], [], NOW);
+
+    assert.strictEqual(state.logged_in, false, 'Expired cookies are not a login');
+    assert.deepStrictEqual(state.cookies, [], 'Should not list expired cookies');
+
+    const mixed = wsjLoginState([cookie('djcs_session', inDays(-1)), cookie('djcs_auto', inDays(7))], [], NOW);
+    assert.deepStrictEqual(mixed.cookies, ['djcs_auto'], 'Should keep the live cookie');
+    assert.strictEqual(mixed.expires, new Date(inDays(7) * 1000).toISOString(), 'Expiry should ignore the expired cookie');
+  });
+
+  it('should have no expiry when the sign-in cookies end with the session', () => {
+    const state = wsjLoginState([cookie('djcs_session', -1)], [], NOW);
+
+    assert.strictEqual(state.logged_in, true, 'A session cookie is a login');
+    assert.strictEqual(state.expires, null, 'Session-only cookies have no expiry');
+
+    const both = wsjLoginState([cookie('djcs_session', -1), cookie('djcs_auto', inDays(30))], [], NOW);
+    assert.strictEqual(both.expires, new Date(inDays(30) * 1000).toISOString(), 'Should use the persistent cookie');
+  });
+
+  it('should take the subscription from the first data layer that names one', () => {
+    const layers = [null, { user_type: '', subscription_type: null }, { subscriber_type: 'subscriber' }, { user_type: 'registered' }];
+    const state = wsjLoginState([cookie('djcs_session', -1)], layers, NOW);
+
+    assert.strictEqual(state.subscription, 'subscriber', 'Should skip unreadable tabs and empty fields');
+  });
+});
+
+// ============================================
+// Setup Tool Tests
+// ============================================
+
+// Stand-in for Chrome: answers /json/version on the --remote-debugging-port
+// it is given, records its arguments, and exits on its own after 30s
+const FAKE_CHROME = `#!/usr/bin/env node
+const { createServer } = require('http');
+const { writeFileSync } = require('fs');
+const port = Number(process.argv.find(a => a.startsWith('--remote-debugging-port=')).split('=')[1]);
+writeFileSync(process.env.FAKE_CHROME_ARGS, JSON.stringify(process.argv.slice(2)));
+createServer((req, res) => res.end(JSON.stringify({ Browser: 'FakeChrome/1.0' }))).listen(port, '127.0.0.1');
+setTimeout(() => process.exit(0), 30000);
+`;
+
+describe('Setup Tool', () => {
+  it('should start a headless Chrome, track its PID and stop it', (t) => {
+    if (runCLI('status').stdout.includes('Connected: true')) {
+      t.skip('a Chrome is already listening on the CDP port');
+      return;
+    }
+    const dir = mkdtempSync(join(tmpdir(), 'wsj-chrome-'));
+    const chromePath = join(dir, 'chrome');
+    const argsFile = join(dir, 'args.json');
+    writeFileSync(chromePath, FAKE_CHROME, { mode: 0o755 });
+    const env = { WSJ_CHROME_PATH: chromePath, FAKE_CHROME_ARGS: argsFile };
+
+    try {
+      const started = runCLI('setup --headless', { env });
+      assert.strictEqual(started.exitCode, 0, 'Should exit with code 0');
+      assert.ok(started.stdout.includes('FakeChrome/1.0'), 'Should wait until CDP answers');
+      const chromeArgs = JSON.parse(readFileSync(argsFile, 'utf-8'));
+      assert.ok(chromeArgs.includes('--headless=new'), 'Should pass --headless=new');
+      assert.ok(chromeArgs.some(a => a.startsWith('--remote-debugging-port=')), 'Should enable CDP');
+      assert.ok(existsSync(CHROME_PID_FILE), 'Should write a PID file');
+
+      const again = runCLI('setup', { env });
+      assert.ok(again.stdout.includes('already running'), 'Should not start a second Chrome');
+    } finally {
+      const stopped = runCLI('setup --stop');
+      assert.ok(stopped.stdout.includes('Stopped Chrome'), 'Should stop the tracked Chrome');
+      rmSync(dir, { recursive: true, force: true });
+    }
+    assert.ok(!existsSync(CHROME_PID_FILE), 'Should remove the PID file');
+    assert.ok(runCLI('status').stdout.includes('Connected: false'), 'CDP should be down after --stop');
+  });
+
+  it('should start a second Chrome on its own port and --profile-dir', (t) => {
+    const env = { WSJ_CDP_URL: '', WSJ_CDP_PORT: '9333' };
+    if (runCLI('status', { env }).stdout.includes('Connected: true')) {
+      t.skip('a Chrome is already listening on port 9333');
+      return;
+    }
+    const dir = mkdtempSync(join(tmpdir(), 'wsj-chrome-'));
+    const profile = join(dir, 'profile');
+    const chromePath = join(dir, 'chrome');
+    const argsFile = join(dir, 'args.json');
+    writeFileSync(chromePath, FAKE_CHROME, { mode: 0o755 });
+    Object.assign(env, { WSJ_CHROME_PATH: chromePath, FAKE_CHROME_ARGS: argsFile });
+
+    try {
+      const started = runCLI(`setup --headless --profile-dir ${profile}`, { env });
+      assert.strictEqual(started.exitCode, 0, 'Should exit with code 0');
+      const chromeArgs = JSON.parse(readFileSync(argsFile, 'utf-8'));
+      assert.ok(chromeArgs.includes('--remote-debugging-port=9333'), 'Should use $WSJ_CDP_PORT');
+      assert.ok(chromeArgs.includes(`--user-data-dir=${profile}`), 'Should use --profile-dir');
+      assert.ok(existsSync(join(profile, 'wsj-chrome.pid')), 'Should keep the PID file in the profile');
+
+      const status = runCLI(`status --profile-dir ${profile}`, { env });
+      assert.ok(status.stdout.includes('Port: 9333'), 'Should show the configured port');
+      assert.ok(status.stdout.includes(`Profile: ${profile}`), 'Should show the profile');
+
+      // The stand-in answers /json/version but not the DevTools socket
+      const json = runCLI('status --json', { env });
+      assert.strictEqual(json.exitCode, 0, 'Should exit with code 0');
+      const data = JSON.parse(json.stdout);
+      assert.strictEqual(data.connected, true, 'Should be connected');
+      assert.strictEqual(data.logged_in, null, 'Login state is unknown when cookies cannot be read');
+      assert.ok(data.error, 'Should say why the login state is unknown');
+    } finally {
+      const stopped = runCLI(`setup --stop --profile-dir ${profile}`, { env });
+      assert.ok(stopped.stdout.includes('Stopped Chrome (pid'), 'Should stop the Chrome tracked in that profile');
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should not stop a Chrome that setup did not start', async (t) => {
+    const env = { WSJ_CDP_URL: '', WSJ_CDP_PORT: '9334' };
+    if (runCLI('status', { env }).stdout.includes('Connected: true')) {
+      t.skip('a Chrome is already listening on port 9334');
+      return;
+    }
+    const dir = mkdtempSync(join(tmpdir(), 'wsj-chrome-'));
+    const chromePath = join(dir, 'chrome');
+    writeFileSync(chromePath, FAKE_CHROME, { mode: 0o755 });
+    const other = spawn(process.execPath, [chromePath, '--remote-debugging-port=9334'], {
+      stdio: 'ignore',
+      env: { ...TEST_ENV, FAKE_CHROME_ARGS: join(dir, 'args.json') }
+    });
+
+    try {
+      for (let i = 0; i < 50 && !existsSync(join(dir, 'args.json')); i++) await new Promise(r => setTimeout(r, 100));
+      await new Promise(r => setTimeout(r, 200));
+
+      const stopped = runCLI(`setup --stop --profile-dir ${join(dir, 'profile')}`, { env });
+      assert.notStrictEqual(stopped.exitCode, 0, 'Should exit with non-zero code');
+      assert.ok(stopped.stderr.includes('No Chrome started by "wsj setup"'), 'Should explain why it refused');
+      assert.ok(runCLI('status', { env }).stdout.includes('Connected: true'), 'The other Chrome should keep running');
+    } finally {
+      other.kill();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should not start Chrome for a remote CDP endpoint', () => {
+    const { stderr, exitCode } = runCLI('setup', { env: { WSJ_CDP_URL: 'ws://192.0.2.1:9222/devtools/browser/abc' } });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('not on this machine'), 'Should explain the endpoint is remote');
+  });
+
+  it('should report a missing $WSJ_CHROME_PATH', () => {
+    const { stderr, exitCode } = runCLI('setup', { env: { WSJ_CHROME_PATH: '/nonexistent/chrome' } });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('WSJ_CHROME_PATH'), 'Should name the variable');
+  });
+
+  it('should say so when stopping with nothing running', () => {
+    if (runCLI('status').stdout.includes('Connected: true')) return;
+    const { stdout, exitCode } = runCLI('setup --stop');
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    assert.ok(stdout.includes('not running'), 'Should report that Chrome is not running');
+  });
+});
+
+// ============================================
+// Backward Compatibility Tests
+// ============================================
+
+describe('Backward Compatibility', () => {
+  it('headlines command should work as alias for rss', () => {
+    const { stdout, exitCode } = runCLI('headlines markets', { withUser: true });
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    assert.ok(stdout.includes('WSJ Headlines'), 'Should show headlines');
+  });
+
+  it('headlines --json should work', () => {
+    const { stdout, exitCode } = runCLI('headlines tech --json', { withUser: true });
+
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+    const data = JSON.parse(stdout);
+    assert.ok(data.section, 'Should return valid JSON');
+  });
+
+  it('article command should show usage (alias for read)', () => {
+    const { stderr, exitCode } = runCLI('article', { withUser: true });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+    assert.ok(stderr.includes('Usage'), 'Should show usage');
+  });
+
+  it('profile command should redirect to prefs with notice', () => {
+    const { stderr } = runCLI('profile get', { username: NEWS_TEST_USER });
+
+    assert.ok(stderr.includes('prefs'), 'Should redirect to prefs functionality');
+  });
+});
+
+// ============================================
+// Edge Cases & Error Handling
+// ============================================
+
+describe('Edge Cases', () => {
+  beforeEach(() => {
+    cleanupTestUsers();
+  });
+
+  afterEach(() => {
+    cleanupTestUsers();
+  });
+
+  it('should handle preferences with special characters in instructions', () => {
+    const json = JSON.stringify({
+      instructions: 'Test with special chars: $100 & more'
+    });
+    const { exitCode } = runCLI(`prefs set '${json}'`, { username: TEST_USER_NAME });
+
+    assert.strictEqual(exitCode, 0, 'Should handle special characters');
+
+    const { stdout } = runCLI('prefs get', { username: TEST_USER_NAME });
+    const data = JSON.parse(stdout);
+    assert.ok(data.instructions.includes('$100'), 'Should preserve special chars');
+  });
+
+  it('should handle preferences update with nested JSON value', () => {
+    const original = { instructions: 'Test' };
+    runCLI(`prefs set '${JSON.stringify(original)}'`, { username: TEST_USER_NAME });
+
+    const { exitCode } = runCLI(`prefs update config '{"nested": {"key": "value"}}'`, { username: TEST_USER_NAME });
+
+    assert.strictEqual(exitCode, 0, 'Should handle nested JSON');
+
+    const { stdout } = runCLI('prefs get', { username: TEST_USER_NAME });
+    const data = JSON.parse(stdout);
+    assert.deepStrictEqual(data.config, { nested: { key: 'value' } }, 'Should preserve nested structure');
+  });
+});
+
+// ============================================
+// JSON Output Validation Tests
+// ============================================
+
+describe('JSON Output Validation', () => {
+  it('rss JSON should have ISO timestamp', () => {
+    const { stdout } = runCLI('rss markets --json', { withProfile: true });
+    const data = JSON.parse(stdout);
+
+    const timestamp = new Date(data.fetched_at);
+    assert.ok(!isNaN(timestamp.getTime()), 'fetched_at should be valid date');
+  });
+
+  it('rss all JSON should have consistent structure', () => {
+    const { stdout } = runCLI('rss all --json', { withProfile: true });
+    const data = JSON.parse(stdout);
+
+    for (const section of data.sections) {
+      assert.ok(section.section, 'Each section should have section name');
+      assert.ok(section.fetched_at, 'Each section should have fetched_at');
+      assert.ok(Array.isArray(section.articles), 'Each section should have articles array');
+    }
+    assert.ok(Array.isArray(data.errors), 'Should have errors array');
+  });
+});
+
+// ============================================
+// Additional Prefs Tests (v1.5)
+// ============================================
+
+describe('Additional Prefs Tests', () => {
+  beforeEach(() => {
+    cleanupTestUsers();
+  });
+
+  afterEach(() => {
+    cleanupTestUsers();
+  });
+
+  it('should accept empty JSON object (empty preferences)', () => {
+    const { exitCode } = runCLI("prefs set '{}'", { username: '_test_invalid_' });
+
+    assert.strictEqual(exitCode, 0, 'Should accept empty preferences');
+  });
+
+  it('should reject non-object JSON', () => {
+    const { stderr, exitCode } = runCLI('prefs set \'"just a string"\'', { username: '_test_invalid_' });
+
+    assert.notStrictEqual(exitCode, 0, 'Should exit with non-zero code');
+  });
+
+  it('should add new field via update', () => {
+    const original = { instructions: 'Test' };
+    runCLI(`prefs set '${JSON.stringify(original)}'`, { username: TEST_USER_NAME });
+
+    const { exitCode } = runCLI('prefs update new_field "new value"', { username: TEST_USER_NAME });
+
+    assert.strictEqual(exitCode, 0, 'Should succeed');
+
+    const { stdout } = runCLI('prefs get', { username: TEST_USER_NAME });
+    const data = JSON.parse(stdout);
+    assert.strictEqual(data.new_field, 'new value', 'Should have new field');
+  });
+
+  it('should handle boolean value in update', () => {
+    const original = { instructions: 'Test' };
+    runCLI(`prefs set '${JSON.stringify(original)}'`, { username: TEST_USER_NAME });
+
+    const { exitCode } = runCLI("prefs update include_opinion 'true'", { username: TEST_USER_NAME });
+
+    assert.strictEqual(exitCode, 0, 'Should succeed');
+
+    const { stdout } = runCLI('prefs get', { username: TEST_USER_NAME });
+    const data = JSON.parse(stdout);
+    assert.strictEqual(data.include_opinion, true, 'Should have boolean value');
+  });
+
+  it('should handle number value in update', () => {
+    const original = { instructions: 'Test' };
+    runCLI(`prefs set '${JSON.stringify(original)}'`, { username: TEST_USER_NAME });
+
+    const { exitCode } = runCLI("prefs update max_items '10'", { username: TEST_USER_NAME });
+
+    assert.strictEqual(exitCode, 0, 'Should succeed');
+
+    const { stdout } = runCLI('prefs get', { username: TEST_USER_NAME });
+    const data = JSON.parse(stdout);
+    assert.strictEqual(data.max_items, 10, 'Should have number value');
+  });
+});
+
+// ============================================
+// Morning Feed E2E Tests (24-hour freshness)
+// ============================================
+
+describe('Morning Feed - 24hr freshness', () => {
+  it('rss all should have some articles within the last 24 hours per section', () => {
+    const { stdout, exitCode } = runCLI('rss all --json', { withProfile: true });
+    assert.strictEqual(exitCode, 0, 'Should exit with code 0');
+
+    const data = JSON.parse(stdout);
     const now = Date.now();
     const twentyFourHours = 24 * 60 * 60 * 1000;
 
@@ -810,6 +2925,46 @@ describe('Additional RSS Tests', () => {
     }
   });
 
+  it('should have author, guid, image and wsj fields in article JSON', () => {
+    const { stdout } = runCLI('rss world --json', { withProfile: true });
+    const data = JSON.parse(stdout);
+
+    for (const article of data.articles) {
+      assert.ok('author' in article, 'Article should have author field');
+      assert.ok('guid' in article, 'Article should have guid field');
+      assert.ok('image' in article, 'Article should have image field');
+      assert.ok('wsj' in article, 'Article should have wsj field');
+    }
+  });
+
+  it('should decode CDATA and entities in titles', () => {
+    const { stdout } = runCLI('rss all --json', { withProfile: true });
+    const data = JSON.parse(stdout);
+
+    for (const section of data.sections) {
+      for (const article of section.articles) {
+        assert.ok(!article.title.includes('<![CDATA['), `Title should not contain CDATA markup: ${article.title}`);
+        assert.ok(!/&(amp|#\d+|#x[0-9a-f]+);/i.test(article.title), `Title should not contain raw entities: ${article.title}`);
+      }
+    }
+  });
+
+  it('should decode Atom type="html" titles exactly once', () => {
+    const atom = (title) => parseFeed(`<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom"><title>Test</title>
+  <entry><title type="html">${title}</title><link href="https://www.wsj.com/articles/atom-test"/><id>atom-test</id></entry>
+</feed>`).items[0].title;
+
+    // Escaped markup: one XML layer, then one HTML layer
+    assert.strictEqual(atom('S&amp;amp;P &lt;b&gt;500&lt;/b&gt;'), 'S&P 500', 'Should unescape and strip the HTML');
+    assert.strictEqual(atom('Tags like &amp;amp;lt;p&amp;amp;gt;'), 'Tags like &lt;p&gt;', 'Should keep a literal entity');
+    // CDATA holds the HTML as-is, so only the HTML layer is decoded
+    assert.strictEqual(atom('<![CDATA[Tags like &amp;lt;p&amp;gt;]]>'), 'Tags like &lt;p&gt;', 'CDATA should not be decoded twice');
+    assert.strictEqual(atom('<![CDATA[<i>AT&amp;T</i> Earnings]]>'), 'AT&T Earnings', 'Should strip tags in CDATA');
+    // Plain-text titles in CDATA are still entity-decoded once
+    assert.strictEqual(parseFeed('<rss><channel><item><title><![CDATA[AT&amp;T]]></title><link>https://www.wsj.com/a</link></item></channel></rss>').items[0].title, 'AT&T');
+  });
+
   it('should handle --json flag position after section', () => {
     const { stdout, exitCode } = runCLI('rss tech --json', { withProfile: true });
 